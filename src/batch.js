@@ -0,0 +1,198 @@
+import { createPuterError } from './errors.js';
+import { splitPath, toBlob, toFileRef, toPath } from './file-utils.js';
+import { getMimeType } from './mime.js';
+import crypto from './crypto.js';
+
+/**
+ * Builder queuing file system operations (`write`, `mkdir` and `shortcut`)
+ * and sending them to Puter in a single multipart `/batch` request.
+ * Created with {@link PuterFileSystem#batch}. Items are created by path: the
+ * operations cannot look up a UID, so targets are paths or objects with a `path`.
+ * @class
+ * @example
+ * const { results, failures } = await client.fs.batch()
+ *   .mkdir('/Projects/site')
+ *   .write('/Projects/site/index.html', '<h1>Hello</h1>')
+ *   .write('/Projects/site/logo.png', pngBuffer)
+ *   .shortcut('/Desktop/site', '/Projects/site')
+ *   .commit();
+ */
+export class FileBatch {
+  /**
+   * Creates a new FileBatch
+   * @param {object} client - The Puter client instance
+   */
+  constructor(client) {
+    this.client = client;
+    this.operations = [];
+  }
+
+  /**
+   * Number of queued operations
+   * @type {number}
+   */
+  get size() {
+    return this.operations.length;
+  }
+
+  /**
+   * Queue a file write
+   * @param {string|object} target - Destination file path, or `{ path }`
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Blob|Stream} data - File contents
+   * @param {object} [options={}] - Write options
+   * @param {boolean} [options.overwrite=true] - Whether to replace an existing file
+   * @param {boolean} [options.dedupeName=false] - Whether to pick a free name if the file exists
+   * @param {boolean} [options.createParents=true] - Whether to create missing parent directories
+   * @param {string} [options.contentType] - MIME type (inferred from the extension by default)
+   * @returns {FileBatch} This batch, for chaining
+   * @throws {Error} If the target has no file path
+   */
+  write(target, data, options = {}) {
+    const { overwrite = true, dedupeName = false, createParents = true, contentType } = options;
+    const path = toPath(target);
+    const { parent, name } = splitPath(path);
+    if (!name) {
+      throw new Error('A file path is required');
+    }
+
+    this.operations.push({
+      path,
+      data,
+      type: contentType || getMimeType(name),
+      operation: {
+        op: 'write',
+        path: parent,
+        name,
+        overwrite,
+        dedupe_name: dedupeName,
+        create_missing_parents: createParents
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Queue a directory creation
+   * @param {string|object} target - Path of the directory to create, or `{ path }`
+   * @param {object} [options={}] - Directory options
+   * @param {boolean} [options.overwrite=false] - Whether to overwrite an existing directory
+   * @param {boolean} [options.dedupeName=false] - Whether to pick a free name if the directory exists
+   * @param {boolean} [options.createParents=true] - Whether to create missing parent directories
+   * @returns {FileBatch} This batch, for chaining
+   * @throws {Error} If the target has no directory path
+   */
+  mkdir(target, options = {}) {
+    const { overwrite = false, dedupeName = false, createParents = true } = options;
+    const path = toPath(target);
+    const { parent, name } = splitPath(path);
+    if (!name) {
+      throw new Error('A directory path is required');
+    }
+
+    this.operations.push({
+      path,
+      operation: {
+        op: 'mkdir',
+        parent,
+        path: name,
+        overwrite,
+        dedupe_name: dedupeName,
+        create_missing_parents: createParents
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Queue a shortcut creation
+   * @param {string|object} link - Path of the shortcut to create, or `{ path }`
+   * @param {string|object} target - Path (starting with `/`) or UID of the item the shortcut
+   * points to, or a `{ path }`, `{ uid }` or item object
+   * @param {object} [options={}] - Shortcut options
+   * @param {boolean} [options.dedupeName=true] - Whether to pick a free name if the shortcut exists
+   * @returns {FileBatch} This batch, for chaining
+   * @throws {Error} If the shortcut path or target is missing
+   */
+  shortcut(link, target, options = {}) {
+    const { dedupeName = true } = options;
+    const path = toPath(link);
+    const { parent, name } = splitPath(path);
+    if (!name || !target) {
+      throw new Error('Shortcut path and target are required');
+    }
+    const ref = typeof target === 'string'
+      ? (target.startsWith('/') ? { path: target } : { uid: target })
+      : toFileRef(target);
+
+    this.operations.push({
+      path,
+      operation: {
+        op: 'shortcut',
+        path: parent,
+        name,
+        ...(ref.uid ? { shortcut_to: ref.uid } : { shortcut_to_path: ref.path }),
+        dedupe_name: dedupeName
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Send the queued operations in one request. The multipart body lists the
+   * `operation_id`, then one `fileinfo` per file, then the operations, then
+   * the files, as the `/batch` endpoint expects.
+   * @param {object} [options={}] - Request options
+   * @param {AbortSignal} [options.signal] - Signal to abort the request
+   * @returns {Promise<object>} `{ results, failures }`: one `{ op, path, success, result, error }`
+   * entry per operation, in order, and the failed entries
+   * @throws {PuterError} If the whole request fails
+   * @example
+   * const { failures } = await batch.commit();
+   * for (const failure of failures) {
+   *   console.error(`${failure.op} ${failure.path}: ${failure.error.message}`);
+   * }
+   */
+  async commit(options = {}) {
+    if (this.operations.length === 0) {
+      return { results: [], failures: [] };
+    }
+
+    const files = await Promise.all(this.operations
+      .filter(entry => entry.operation.op === 'write')
+      .map(async entry => ({ name: entry.operation.name, blob: await toBlob(entry.data, entry.type) })));
+
+    const formData = new FormData();
+    formData.append('operation_id', crypto.randomUUID());
+    for (const { name, blob } of files) {
+      formData.append('fileinfo', JSON.stringify({ name, type: blob.type, size: blob.size }));
+    }
+    for (const { operation } of this.operations) {
+      formData.append('operation', JSON.stringify(operation));
+    }
+    for (const { name, blob } of files) {
+      formData.append('file', blob, name);
+    }
+
+    const response = await this.client.http.post('/batch', formData, { signal: options.signal });
+    const entries = Array.isArray(response) ? response : response?.results || [];
+
+    const results = this.operations.map(({ path, operation }, index) => {
+      const entry = entries[index];
+      const failed = !entry || entry.error || entry.success === false;
+      return {
+        op: operation.op,
+        path,
+        success: !failed,
+        result: failed ? undefined : entry,
+        error: failed
+          ? createPuterError(typeof entry?.error === 'object' ? entry.error : {
+            code: entry?.code,
+            message: entry?.message || (entry ? 'Operation failed' : 'No result returned for this operation')
+          })
+          : undefined
+      };
+    });
+
+    return { results, failures: results.filter(result => !result.success) };
+  }
+}
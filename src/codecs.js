@@ -0,0 +1,74 @@
+/**
+ * Codecs convert values before they are stored in the key/value store and
+ * after they are read back. A codec is an object with `encode(value)`,
+ * returning a JSON-serializable value, and `decode(stored)`.
+ * @typedef {object} Codec
+ * @property {function(*): *} encode - Convert a value to its stored form
+ * @property {function(*): *} decode - Convert a stored value back
+ */
+
+/**
+ * Create a codec replacing values of special types with tagged objects
+ * (`{ $date: '2024-01-01T00:00:00.000Z' }`), at any depth
+ * @private
+ */
+function createTaggedCodec(types) {
+  const encode = value => {
+    for (const { tag, test, toJSON } of types) {
+      if (test(value)) return { [tag]: toJSON(value) };
+    }
+    if (Array.isArray(value)) return value.map(encode);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+    }
+    return value;
+  };
+
+  const decode = value => {
+    if (Array.isArray(value)) return value.map(decode);
+    if (!value || typeof value !== 'object') return value;
+
+    const keys = Object.keys(value);
+    const type = keys.length === 1 && types.find(({ tag }) => tag === keys[0]);
+    if (type) return type.fromJSON(value[type.tag]);
+    return Object.fromEntries(keys.map(key => [key, decode(value[key])]));
+  };
+
+  return { encode, decode };
+}
+
+const DATE_TYPE = {
+  tag: '$date',
+  test: value => value instanceof Date,
+  toJSON: date => date.toISOString(),
+  fromJSON: text => new Date(text)
+};
+
+const BIGINT_TYPE = {
+  tag: '$bigint',
+  test: value => typeof value === 'bigint',
+  toJSON: number => number.toString(),
+  fromJSON: text => BigInt(text)
+};
+
+/**
+ * Built-in codecs for {@link PuterKV#namespace}
+ * @namespace
+ * @property {Codec} json - Plain JSON values, stored as is (the default)
+ * @property {Codec} date - Dates are revived as `Date` objects
+ * @property {Codec} bigint - BigInts are kept without losing precision
+ * @property {Codec} typed - Both Dates and BigInts
+ * @example
+ * const events = client.kv.namespace('events', { codec: codecs.typed });
+ * await events.set('launch', { at: new Date(), views: 12345678901234567890n });
+ * const { at } = await events.get('launch'); // a Date
+ */
+export const codecs = {
+  json: {
+    encode: value => value,
+    decode: value => value
+  },
+  date: createTaggedCodec([DATE_TYPE]),
+  bigint: createTaggedCodec([BIGINT_TYPE]),
+  typed: createTaggedCodec([DATE_TYPE, BIGINT_TYPE])
+};
@@ -0,0 +1,259 @@
+/**
+ * Approximate the token count of a message (about four characters per token)
+ * @param {object} message - Chat message
+ * @returns {number} Approximate token count
+ * @private
+ */
+function estimateTokens(message) {
+  let text = '';
+  if (typeof message.content === 'string') {
+    text = message.content;
+  } else if (Array.isArray(message.content)) {
+    text = message.content.map(part => part?.text ?? JSON.stringify(part)).join('');
+  }
+  if (message.tool_calls) {
+    text += JSON.stringify(message.tool_calls);
+  }
+  return Math.ceil(text.length / 4) + 4;
+}
+
+/**
+ * Stateful chat conversation on top of {@link PuterAI#chat}. Keeps the
+ * message history, appends assistant replies and trims old messages.
+ * @class
+ * @example
+ * const conversation = client.ai.conversation({
+ *   system: 'You are a helpful assistant.',
+ *   model: 'gpt-4o-mini',
+ *   maxMessages: 20
+ * });
+ * await conversation.send('Hi, my name is Ada.');
+ * const result = await conversation.send('What is my name?');
+ * console.log(result.message.content);
+ */
+export class Conversation {
+  /**
+   * Creates a new Conversation
+   * @param {object} ai - The PuterAI instance
+   * @param {object} [options={}] - Conversation options
+   * @param {string} [options.system] - System prompt, always sent first and never trimmed
+   * @param {string} [options.model] - Model used for every request
+   * @param {object} [options.options] - Additional chat options used for every request
+   * @param {number} [options.maxMessages] - Maximum number of non-system messages to keep
+   * @param {number} [options.maxTokens] - Approximate token budget for the whole history
+   * @param {Array<object>} [options.messages] - Initial message history
+   */
+  constructor(ai, options = {}) {
+    this.ai = ai;
+    this.system = options.system;
+    this.model = options.model;
+    this.options = options.options || {};
+    this.maxMessages = options.maxMessages;
+    this.maxTokens = options.maxTokens;
+    this.messages = (options.messages || []).map(message => ({ ...message }));
+    this.truncate();
+  }
+
+  /**
+   * The messages sent with the next request, system prompt included
+   * @type {Array<object>}
+   */
+  get history() {
+    const messages = this.messages.map(message => ({ ...message }));
+    return this.system ? [{ role: 'system', content: this.system }, ...messages] : messages;
+  }
+
+  /**
+   * Send a user message and append the assistant reply to the history
+   * @param {string|Array<object>|object} content - Message text, content parts or a full message
+   * @param {object} [options] - Chat options for this request only
+   * @returns {Promise<object>} Chat completion result
+   * @throws {Error} If the request fails; the history is left unchanged in that case
+   * @example
+   * const result = await conversation.send('Tell me a joke');
+   * console.log(result.message.content);
+   */
+  async send(content, options = {}) {
+    const previous = [...this.messages];
+    this.append(content);
+    // Trim first so that the request itself stays within the limits
+    this.truncate();
+    let result;
+    try {
+      result = await this.ai.chat(this.history, this.chatOptions(options));
+    } catch (error) {
+      this.messages = previous;
+      throw error;
+    }
+    this.reply(result.message);
+    return result;
+  }
+
+  /**
+   * Send a user message and stream the reply. The assistant message is
+   * appended to the history once the stream has been consumed to its end. If
+   * the stream reports an error or is abandoned early, the history is left
+   * unchanged, as for a failed request.
+   * @param {string|Array<object>|object} content - Message text, content parts or a full message
+   * @param {object} [options] - Chat options for this request only
+   * @returns {Promise<ChatStream>} Stream of delta events
+   * @throws {Error} If the request fails; the history is left unchanged in that case
+   * @example
+   * const stream = await conversation.stream('Tell me a story');
+   * for await (const event of stream) {
+   *   if (event.type === 'text') process.stdout.write(event.text);
+   * }
+   */
+  async stream(content, options = {}) {
+    const previous = [...this.messages];
+    this.append(content);
+    // Trim first so that the request itself stays within the limits
+    this.truncate();
+    let stream;
+    try {
+      stream = await this.ai.chatStream(this.history, this.chatOptions(options));
+    } catch (error) {
+      this.messages = previous;
+      throw error;
+    }
+    stream.onFinish = reply => {
+      // Only a stream read to its end without an error event completes the turn
+      const completed = stream.events.at(-1)?.type === 'done'
+        && !stream.events.some(event => event.type === 'error');
+      if (completed) {
+        this.reply(reply);
+      } else {
+        this.messages = previous;
+      }
+    };
+    // The stream failed while being read
+    stream.finished.catch(() => {
+      this.messages = previous;
+    });
+    return stream;
+  }
+
+  /**
+   * Create an independent copy of this conversation
+   * @returns {Conversation} The forked conversation
+   * @example
+   * const branch = conversation.fork();
+   * await branch.send('Answer in French instead');
+   */
+  fork() {
+    return new Conversation(this.ai, this.toJSON());
+  }
+
+  /**
+   * Remove the last exchange: the last user message and everything after it
+   * @returns {Array<object>} The removed messages
+   * @example
+   * conversation.undo();
+   */
+  undo() {
+    const index = this.messages.map(message => message.role).lastIndexOf('user');
+    if (index === -1) {
+      return [];
+    }
+    return this.messages.splice(index);
+  }
+
+  /**
+   * Remove all messages, keeping the system prompt and settings
+   * @returns {void}
+   */
+  clear() {
+    this.messages = [];
+  }
+
+  /**
+   * Serialize the conversation, for example to store it with `client.kv.set()`
+   * @returns {object} Plain object accepted by {@link Conversation.fromJSON}
+   */
+  toJSON() {
+    return {
+      system: this.system,
+      model: this.model,
+      options: { ...this.options },
+      maxMessages: this.maxMessages,
+      maxTokens: this.maxTokens,
+      messages: this.messages.map(message => ({ ...message }))
+    };
+  }
+
+  /**
+   * Restore a conversation serialized with {@link Conversation#toJSON}
+   * @param {object} ai - The PuterAI instance
+   * @param {object|string} data - Serialized conversation (object or JSON string)
+   * @returns {Conversation} The restored conversation
+   * @example
+   * const saved = await client.kv.get('conversation:42');
+   * const conversation = Conversation.fromJSON(client.ai, saved);
+   */
+  static fromJSON(ai, data) {
+    return new Conversation(ai, typeof data === 'string' ? JSON.parse(data) : data);
+  }
+
+  /**
+   * Add a user message to the history
+   * @private
+   */
+  append(content) {
+    const message = content && typeof content === 'object' && !Array.isArray(content) && content.role
+      ? { ...content }
+      : { role: 'user', content };
+    this.messages.push(message);
+    return message;
+  }
+
+  /**
+   * Add an assistant reply to the history and trim it
+   * @private
+   */
+  reply(message) {
+    if (message) {
+      const { usage: _usage, ...reply } = message;
+      this.messages.push(reply);
+    }
+    this.truncate();
+  }
+
+  /**
+   * Merge conversation-level and per-request chat options
+   * @private
+   */
+  chatOptions(options) {
+    return {
+      ...(this.model ? { model: this.model } : {}),
+      ...this.options,
+      ...options
+    };
+  }
+
+  /**
+   * Drop the oldest messages until the history fits the configured limits.
+   * The history never starts with an orphaned assistant or tool message.
+   * @private
+   */
+  truncate() {
+    const systemTokens = this.system ? estimateTokens({ content: this.system }) : 0;
+    const overLimit = () => {
+      if (this.messages.length <= 1) return false;
+      if (this.maxMessages && this.messages.length > this.maxMessages) return true;
+      if (this.maxTokens) {
+        const tokens = this.messages.reduce((total, message) => total + estimateTokens(message), systemTokens);
+        return tokens > this.maxTokens;
+      }
+      return false;
+    };
+
+    let trimmed = false;
+    while (overLimit()) {
+      this.messages.shift();
+      trimmed = true;
+    }
+    while (trimmed && this.messages.length > 1 && this.messages[0].role !== 'user') {
+      this.messages.shift();
+    }
+  }
+}
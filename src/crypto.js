@@ -12,10 +12,67 @@ const randomUUID = () => {
   return uuidv4();
 };
 
+/**
+ * Convert a digest to a lowercase hex string
+ * @private
+ */
+const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Creates an incremental SHA-256 hasher. Node.js hashes chunks as they come;
+ * browsers, whose Web Crypto API has no incremental digest, buffer them.
+ * @returns {Promise<{update: function(string|Uint8Array): void, digest: function(): Promise<string>}>}
+ * Hasher whose `digest` resolves to the hex digest
+ * @example
+ * const hash = await createSha256();
+ * for await (const chunk of stream) hash.update(chunk);
+ * const hex = await hash.digest();
+ */
+const createSha256 = async () => {
+  try {
+    const { createHash } = await import('node:crypto');
+    const hash = createHash('sha256');
+    return {
+      update: chunk => hash.update(chunk),
+      digest: async () => hash.digest('hex')
+    };
+  } catch {
+    const chunks = [];
+    return {
+      update: chunk => chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk),
+      digest: async () => toHex(await globalThis.crypto.subtle.digest('SHA-256', await new Blob(chunks).arrayBuffer()))
+    };
+  }
+};
+
+/**
+ * Computes the SHA-256 digest of data, reading Blobs and streams chunk by chunk
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Blob|AsyncIterable} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ * @example
+ * const hex = await sha256('hello');
+ * // Result: '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+ */
+const sha256 = async data => {
+  const hash = await createSha256();
+  const source = typeof Blob !== 'undefined' && data instanceof Blob ? data.stream() : data;
+
+  if (source && typeof source !== 'string' && typeof source[Symbol.asyncIterator] === 'function') {
+    for await (const chunk of source) {
+      hash.update(chunk);
+    }
+  } else {
+    hash.update(source instanceof ArrayBuffer ? new Uint8Array(source) : source);
+  }
+  return hash.digest();
+};
+
 /**
  * Cryptographic utility functions for the Puter SDK
  * @namespace
  */
 export default {
   randomUUID,
+  createSha256,
+  sha256,
 };
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { getHeader } from './http-utils.js';
+
 /**
  * Base error class for Puter SDK errors
  * @class
@@ -6,15 +8,25 @@
 export class PuterError extends Error {
   /**
    * Creates a new PuterError instance
-   * @param {object} error - Error details
+   * @param {object|string} error - Error details, or just a message
    * @param {string} [error.message] - Error message
    * @param {string} [error.code] - Error code
+   * @param {object} [options] - Additional context
+   * @param {number} [options.status] - HTTP status of the failed response
+   * @param {string} [options.requestId] - Request ID reported by the server
+   * @param {Error} [options.cause] - The underlying error
    */
-  constructor(error) {
+  constructor(error, options = {}) {
+    if (typeof error === 'string') {
+      error = { message: error };
+    }
     super(error.message || 'An error occurred');
     this.name = 'PuterError';
     this.code = error.code || 'UNKNOWN_ERROR';
     this.details = error;
+    if (options.status !== undefined) this.status = options.status;
+    if (options.requestId !== undefined) this.requestId = options.requestId;
+    if (options.cause) this.cause = options.cause;
   }
 }
 
@@ -26,14 +38,16 @@ export class PuterError extends Error {
 export class AuthenticationError extends PuterError {
   /**
    * Creates a new AuthenticationError instance
-   * @param {object} error - Error details
+   * @param {object} error - Error details, the server code is kept when present
    * @param {string} [error.message] - Error message
+   * @param {object} [options] - Additional context, see {@link PuterError}
    */
-  constructor(error) {
+  constructor(error, options) {
     super({
-      code: 'AUTHENTICATION_FAILED',
+      ...error,
+      code: error.code || 'AUTHENTICATION_FAILED',
       message: error.message || 'Authentication failed'
-    });
+    }, options);
     this.name = 'AuthenticationError';
   }
 }
@@ -54,4 +68,264 @@ export class TwoFactorRequiredError extends PuterError {
     });
     this.name = 'TwoFactorRequiredError';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Error thrown when a file, app, subdomain or other entity does not exist
+ * @class
+ * @extends PuterError
+ */
+export class NotFoundError extends PuterError {
+  /**
+   * Creates a new NotFoundError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'NOT_FOUND', message: error.message || 'Not found' }, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when the user is not allowed to access a resource
+ * @class
+ * @extends PuterError
+ */
+export class PermissionDeniedError extends PuterError {
+  /**
+   * Creates a new PermissionDeniedError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'PERMISSION_DENIED', message: error.message || 'Permission denied' }, options);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Error thrown when a storage or usage quota is exhausted
+ * @class
+ * @extends PuterError
+ */
+export class QuotaExceededError extends PuterError {
+  /**
+   * Creates a new QuotaExceededError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'QUOTA_EXCEEDED', message: error.message || 'Quota exceeded' }, options);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+/**
+ * Error thrown when the server throttles requests
+ * @class
+ * @extends PuterError
+ */
+export class RateLimitError extends PuterError {
+  /**
+   * Creates a new RateLimitError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   * @param {number} [options.retryAfter] - Suggested delay before retrying, in milliseconds
+   */
+  constructor(error, options = {}) {
+    super({ ...error, code: error.code || 'RATE_LIMITED', message: error.message || 'Too many requests' }, options);
+    this.name = 'RateLimitError';
+    if (options.retryAfter !== undefined) this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * Error thrown when an entity already exists or was modified concurrently
+ * @class
+ * @extends PuterError
+ */
+export class ConflictError extends PuterError {
+  /**
+   * Creates a new ConflictError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'CONFLICT', message: error.message || 'Conflict' }, options);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Error thrown when request arguments are rejected as invalid
+ * @class
+ * @extends PuterError
+ */
+export class ValidationError extends PuterError {
+  /**
+   * Creates a new ValidationError instance
+   * @param {object} error - Error details, the server code is kept when present
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'VALIDATION_FAILED', message: error.message || 'Invalid request' }, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Error thrown when the server could not be reached or the connection failed
+ * @class
+ * @extends PuterError
+ */
+export class NetworkError extends PuterError {
+  /**
+   * Creates a new NetworkError instance
+   * @param {object} error - Error details, `code` is the network error code (e.g. `ECONNRESET`)
+   * @param {object} [options] - Additional context, see {@link PuterError}
+   */
+  constructor(error, options) {
+    super({ ...error, code: error.code || 'NETWORK_ERROR', message: error.message || 'Network error' }, options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Error thrown when model output does not match the requested JSON Schema
+ * @class
+ * @extends ValidationError
+ */
+export class SchemaValidationError extends ValidationError {
+  /**
+   * Creates a new SchemaValidationError instance
+   * @param {object} error - Error details
+   * @param {string} [error.message] - Error message
+   * @param {Array<{path: string, message: string}>} [error.errors] - Validation errors of the last attempt
+   * @param {string} [error.output] - Raw model output of the last attempt
+   */
+  constructor(error) {
+    super({
+      code: 'SCHEMA_VALIDATION_FAILED',
+      message: error.message || 'Output does not match the schema'
+    });
+    this.name = 'SchemaValidationError';
+    this.errors = error.errors || [];
+    this.output = error.output;
+  }
+}
+
+// Puter error codes (compared lowercase) mapped to error classes
+const ERROR_CODES = new Map([
+  ...['subject_does_not_exist', 'entity_not_found', 'not_found', 'file_not_found', 'dest_does_not_exist',
+    'app_not_found', 'subdomain_not_found', 'no_such_key'].map(code => [code, NotFoundError]),
+  ...['forbidden', 'access_denied', 'permission_denied', 'permission_required', 'immutable']
+    .map(code => [code, PermissionDeniedError]),
+  ...['storage_limit_reached', 'quota_exceeded', 'insufficient_funds', 'usage_limit_exceeded', 'file_too_large']
+    .map(code => [code, QuotaExceededError]),
+  ...['too_many_requests', 'rate_limit_exceeded', 'rate_limited'].map(code => [code, RateLimitError]),
+  ...['item_with_same_name_exists', 'already_in_use', 'already_exists', 'app_exists', 'subdomain_exists',
+    'directory_exists', 'file_exists', 'subdomain_reserved', 'conflict'].map(code => [code, ConflictError]),
+  ...['field_invalid', 'field_missing', 'field_empty', 'bad_request', 'invalid_argument', 'invalid_file_name',
+    'validation_failed', 'missing_expected_metadata'].map(code => [code, ValidationError]),
+  ...['token_auth_failed', 'unauthorized', 'authentication_failed', 'invalid_token', 'token_missing']
+    .map(code => [code, AuthenticationError])
+]);
+
+// HTTP statuses mapped to error classes when the code is unknown
+const ERROR_STATUSES = new Map([
+  [400, ValidationError],
+  [401, AuthenticationError],
+  [403, PermissionDeniedError],
+  [404, NotFoundError],
+  [409, ConflictError],
+  [413, QuotaExceededError],
+  [422, ValidationError],
+  [429, RateLimitError],
+  [507, QuotaExceededError]
+]);
+
+/**
+ * Get the `error` object of a response body. Binary and text bodies (from
+ * `arraybuffer` or `text` response types) are parsed as JSON first.
+ * @private
+ */
+function errorPayload(data) {
+  if (data && (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+    try {
+      data = JSON.parse(typeof data === 'string' ? data : new TextDecoder().decode(data));
+    } catch (_) {
+      return undefined;
+    }
+  }
+  return data?.error;
+}
+
+/**
+ * Create the most specific error for a Puter error payload
+ * @param {object|string} error - Error payload from the server (`{ code, message }`) or a message
+ * @param {object} [options] - Additional context
+ * @param {number} [options.status] - HTTP status of the failed response
+ * @param {string} [options.requestId] - Request ID reported by the server
+ * @param {Error} [options.cause] - The underlying error
+ * @returns {PuterError} An instance of the matching PuterError subclass
+ * @example
+ * createPuterError({ code: 'subject_does_not_exist', message: 'File not found' }, { status: 404 });
+ * // NotFoundError
+ */
+export function createPuterError(error, options = {}) {
+  const details = typeof error === 'string' ? { message: error } : { ...(error || {}) };
+  const ErrorClass = ERROR_CODES.get(String(details.code || '').toLowerCase())
+    || ERROR_STATUSES.get(options.status)
+    || PuterError;
+  return new ErrorClass(details, options);
+}
+
+/**
+ * Convert any error raised while calling the API into a PuterError, keeping
+ * the HTTP status, server code, request ID and original error as `cause`
+ * @param {Error} error - Error to convert
+ * @param {string} [fallbackMessage] - Message used when the error has none
+ * @returns {PuterError} The converted error (PuterErrors are returned unchanged)
+ * @example
+ * try {
+ *   // ...
+ * } catch (error) {
+ *   throw toPuterError(error, 'Failed to list keys');
+ * }
+ */
+export function toPuterError(error, fallbackMessage) {
+  if (error instanceof PuterError) {
+    // Errors mapped by the client interceptor carry no context yet: prefer
+    // the caller's message when the server did not send one
+    const response = error.cause?.response;
+    if (fallbackMessage && response && !errorPayload(response.data)?.message) {
+      error.message = fallbackMessage;
+    }
+    return error;
+  }
+
+  const response = error?.response;
+  if (response) {
+    const headers = response.headers;
+    const retryAfter = Number(getHeader(headers, 'retry-after'));
+    const payload = errorPayload(response.data);
+    return createPuterError(payload || { message: error.message || fallbackMessage }, {
+      status: response.status,
+      requestId: getHeader(headers, 'x-request-id'),
+      cause: error,
+      ...(Number.isFinite(retryAfter) ? { retryAfter: retryAfter * 1000 } : {})
+    });
+  }
+
+  if (error?.code === 'ERR_CANCELED') {
+    return new PuterError({ code: 'ABORTED', message: error.message || 'Request aborted' }, { cause: error });
+  }
+
+  // Requests that were sent (or attempted) but got no response
+  if (error?.request || error?.isAxiosError) {
+    return new NetworkError({ code: error.code, message: error.message || fallbackMessage }, { cause: error });
+  }
+
+  return new PuterError({ message: error?.message || fallbackMessage }, { cause: error });
+}
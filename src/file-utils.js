@@ -0,0 +1,88 @@
+/**
+ * Split a path into its parent directory and base name
+ * @param {string} path - File or directory path
+ * @returns {{parent: string, name: string}} Parent directory (`/` at the root) and base name
+ * @private
+ */
+export function splitPath(path) {
+  const parts = String(path || '').split('/');
+  const name = parts.pop();
+  return { parent: parts.join('/') || '/', name };
+}
+
+/**
+ * Join a directory path and an entry name or relative path
+ * @param {string} dir - Directory path
+ * @param {string} name - Entry name or relative path
+ * @returns {string} The joined path
+ * @private
+ */
+export function joinPath(dir, name) {
+  return dir.endsWith('/') ? `${dir}${name}` : `${dir}/${name}`;
+}
+
+/**
+ * Convert file contents to a Blob of the given type. Streams are read into memory.
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Blob|Stream} data - File contents
+ * @param {string} [type] - MIME type of the Blob
+ * @returns {Promise<Blob>} The Blob
+ * @throws {Error} If the data type is not supported
+ * @private
+ */
+export async function toBlob(data, type) {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return !type || data.type === type ? data : new Blob([data], { type });
+  }
+  if (data && (typeof data.pipe === 'function' || typeof data[Symbol.asyncIterator] === 'function')) {
+    const chunks = [];
+    for await (const chunk of data) {
+      chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    }
+    return new Blob(chunks, { type });
+  }
+  if (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return new Blob([data], { type });
+  }
+  throw new Error('Unsupported data type: expected a string, Buffer, typed array, Blob or stream');
+}
+
+/**
+ * Normalise a file target to the `{ path }` or `{ uid }` reference accepted by
+ * the Puter API. Strings are paths; item objects are addressed by their UID,
+ * which survives renames and moves.
+ * @param {string|object} target - Path, `{ path }`, `{ uid }` or item object
+ * @returns {{path: string}|{uid: string}} The reference
+ * @throws {Error} If the target has neither a path nor a UID
+ * @private
+ */
+export function toFileRef(target) {
+  if (typeof target === 'string' && target) return { path: target };
+  if (target?.uid) return { uid: target.uid };
+  if (target?.path) return { path: target.path };
+  throw new Error('A path or UID is required');
+}
+
+/**
+ * Convert a file target to the single string expected by endpoints taking
+ * either a path or a UID (`/read`, `/copy`, `/move`, `/delete`)
+ * @param {string|object} target - Path, `{ path }`, `{ uid }` or item object
+ * @returns {string} The path or UID
+ * @private
+ */
+export function toFileParam(target) {
+  const ref = toFileRef(target);
+  return ref.uid ?? ref.path;
+}
+
+/**
+ * Path of a target that may not exist yet, such as the destination of a write.
+ * Strings are paths; objects must carry a `path`, since a UID cannot name a
+ * new item.
+ * @param {string|object} target - Path, `{ path }` or item object
+ * @returns {string|undefined} The path, or undefined if the target has none
+ * @private
+ */
+export function toPath(target) {
+  const path = typeof target === 'string' ? target : target?.path;
+  return typeof path === 'string' ? path : undefined;
+}
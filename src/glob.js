@@ -0,0 +1,88 @@
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\/\]]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching whole paths.
+ * Supports `*` (any characters but `/`), `**` (any number of directories),
+ * `?`, character classes (`[abc]`, `[!abc]`) and alternatives (`{md,txt}`).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching the pattern
+ * @example
+ * globToRegExp('/Documents/**\/*.{md,txt}').test('/Documents/notes/todo.md'); // true
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let range = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (range[0] === '!') range = `^${range.slice(1)}`;
+      source += `[${range}]`;
+      i = end;
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a string contains glob special characters
+ * @param {string} pattern - Pattern to check
+ * @returns {boolean} True if the pattern has wildcards
+ */
+export function hasGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+/**
+ * Split a glob pattern into the directory to start from and the maximum
+ * depth below it that can match (`Infinity` when the pattern has `**`)
+ * @param {string} pattern - Absolute glob pattern
+ * @returns {{base: string, depth: number}} Base directory and depth
+ * @example
+ * globBase('/Documents/*\/notes.md'); // { base: '/Documents', depth: 2 }
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const index = segments.findIndex(segment => hasGlob(segment));
+  const base = segments.slice(0, index).join('/') || '/';
+  const rest = segments.slice(index);
+  return {
+    base,
+    depth: rest.some(segment => segment.includes('**')) ? Infinity : rest.length
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Read a header from axios or plain header objects
+ * @param {object} [headers] - Response or request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ * @private
+ */
+export function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * Get the `/drivers/call` payload of a request config, whether the body is
+ * still an object (request interceptors) or already serialized (replays)
+ * @param {object} config - Axios request config
+ * @returns {object|null} Driver payload with `interface` and `method`, or null for other requests
+ * @private
+ */
+export function getDriverPayload(config) {
+  if (!config || (config.url || '').split('?')[0] !== '/drivers/call') {
+    return null;
+  }
+  let payload = config.data;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (_) {
+      return null;
+    }
+  }
+  return payload && typeof payload === 'object' ? payload : null;
+}
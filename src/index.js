@@ -7,9 +7,32 @@ import { PuterApps } from './resources/apps.js';
 import { PuterSites } from './resources/sites.js';
 import { PuterHosting } from './resources/hosting.js';
 import { PuterAI } from './resources/ai.js';
-import { PuterError } from './errors.js';
+import { PuterDrivers } from './resources/drivers.js';
+import { PuterPermissions } from './resources/perms.js';
+import { toPuterError } from './errors.js';
+import { DEFAULT_RETRY_POLICY, installRetryInterceptor } from './retry.js';
+import { RequestScheduler, installScheduler } from './limiter.js';
 import config from './config.js';
 
+export { ChatStream } from './streaming.js';
+export { Conversation } from './conversation.js';
+export { DEFAULT_RETRY_POLICY } from './retry.js';
+export { codecs } from './codecs.js';
+export {
+  PuterError,
+  AuthenticationError,
+  TwoFactorRequiredError,
+  NotFoundError,
+  PermissionDeniedError,
+  QuotaExceededError,
+  RateLimitError,
+  ConflictError,
+  ValidationError,
+  NetworkError,
+  SchemaValidationError,
+  createPuterError
+} from './errors.js';
+
 /**
  * Main client class for interacting with the Puter API
  * @class
@@ -21,6 +44,10 @@ export default class PuterClient {
    * @param {object} [clientConfig={}] - Configuration options
    * @param {string} [clientConfig.baseURL] - Base URL for API requests (defaults to config.apiBaseUrl)
    * @param {string} [clientConfig.token] - Authentication token (defaults to config.apiKey)
+   * @param {object|boolean} [clientConfig.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY), or `false` to disable retries
+   * @param {number} [clientConfig.maxConcurrent] - Maximum number of concurrent requests
+   * @param {object} [clientConfig.rateLimit] - Global token-bucket rate limit as `{ requests, interval, burst }`
+   * @param {object} [clientConfig.interfaceLimits] - `maxConcurrent` and `rateLimit` by driver interface
    * @example
    * // Create client with default configuration
    * const puter = new PuterClient();
@@ -30,10 +57,30 @@ export default class PuterClient {
    *   baseURL: 'https://api.puter.com',
    *   token: 'your-api-token'
    * });
+   *
+   * // Retry transient failures up to 5 times and log each retry
+   * const puter = new PuterClient({
+   *   retry: {
+   *     maxAttempts: 5,
+   *     onRetry: ({ attempt, delay, error }) => console.warn(`Retry #${attempt} in ${delay}ms: ${error.message}`)
+   *   }
+   * });
+   *
+   * // At most 8 requests in flight, 20 per second, and 5 KV writes per second
+   * const puter = new PuterClient({
+   *   maxConcurrent: 8,
+   *   rateLimit: { requests: 20, interval: 1000 },
+   *   interfaceLimits: {
+   *     'puter-kvstore': { rateLimit: { requests: 5, interval: 1000 } }
+   *   }
+   * });
    */
   constructor(clientConfig = {}) {
     this.baseURL = clientConfig.baseURL || config.apiBaseUrl;
     this.token = clientConfig.token || config.apiKey;
+    this.retryPolicy = clientConfig.retry === false
+      ? null
+      : { ...DEFAULT_RETRY_POLICY, ...clientConfig.retry };
   
     // Create the base HTTP client
     this.http = axios.create({
@@ -42,14 +89,25 @@ export default class PuterClient {
     });
   
     // Initialize resources
+    this.drivers = new PuterDrivers(this);
     this.auth = new PuterAuth(this);
     this.fs = new PuterFileSystem(this);
+    this.perms = new PuterPermissions(this);
     this.kv = new PuterKV(this);
     this.apps = new PuterApps(this);
     this.sites = new PuterSites(this);
     this.hosting = new PuterHosting(this);
     this.usage = new PuterUsage(this);
     this.ai = new PuterAI(this);
+
+    // Queue requests over the configured limits, registered first so slots
+    // are released before any other response interceptor runs
+    this.scheduler = new RequestScheduler({
+      maxConcurrent: clientConfig.maxConcurrent,
+      rateLimit: clientConfig.rateLimit,
+      interfaceLimits: clientConfig.interfaceLimits
+    });
+    installScheduler(this, this.scheduler);
   
     // Add request interceptor for dynamic headers
     this.http.interceptors.request.use(config => {
@@ -73,15 +131,14 @@ export default class PuterClient {
     });
   
     // Add response interceptor
+    // and map failures to typed errors (see errors.js)
     this.http.interceptors.response.use(
       response => response.data,
-      error => {
-        if (error.response?.data?.error) {
-          return Promise.reject(new PuterError(error.response.data.error));
-        }
-        return Promise.reject(error);
-      }
+      error => Promise.reject(toPuterError(error))
     );
+
+    // Retry transient failures, registered last so replays run the full chain
+    installRetryInterceptor(this);
   }
   
   /**
@@ -115,6 +172,18 @@ export default class PuterClient {
     this.http.defaults.headers['Authorization'] = `Bearer ${token}`;
   }
 
+  /**
+   * Get a snapshot of the request scheduler
+   * @returns {object} Active, queued and completed request counts, globally and by driver interface
+   * @example
+   * const { active, queued, interfaces } = puter.stats();
+   * console.log(`${active} running, ${queued} waiting`);
+   * console.log(interfaces['puter-kvstore']);
+   */
+  stats() {
+    return this.scheduler.stats();
+  }
+
   /**
    * Check if two-factor authentication is required for a user
    * @param {string} username - Username to check
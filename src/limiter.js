@@ -0,0 +1,197 @@
+import { getDriverPayload } from './http-utils.js';
+
+const RELEASE = Symbol('release');
+
+/**
+ * Token bucket refilled continuously at `requests` per `interval` milliseconds
+ * @class
+ * @private
+ */
+export class TokenBucket {
+  /**
+   * Creates a new TokenBucket
+   * @param {object} options - Bucket options
+   * @param {number} options.requests - Requests allowed per interval
+   * @param {number} [options.interval=1000] - Interval length in milliseconds
+   * @param {number} [options.burst] - Bucket capacity (defaults to `requests`)
+   */
+  constructor({ requests, interval = 1000, burst }) {
+    this.rate = requests / interval;
+    this.capacity = burst ?? requests;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 if one is available now)
+   * @returns {number} Wait time in milliseconds
+   */
+  waitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Limits for one scope (global or a driver interface)
+ * @private
+ */
+function createScope(limits = {}) {
+  return {
+    maxConcurrent: limits.maxConcurrent ?? Infinity,
+    bucket: limits.rateLimit ? new TokenBucket(limits.rateLimit) : null,
+    active: 0,
+    queued: 0,
+    completed: 0
+  };
+}
+
+/**
+ * Client-side request scheduler enforcing a maximum number of concurrent
+ * requests and token-bucket rate limits, globally and per driver interface.
+ * Requests over the limits are queued in FIFO order per interface.
+ * @class
+ */
+export class RequestScheduler {
+  /**
+   * Creates a new RequestScheduler
+   * @param {object} [options={}] - Scheduler limits
+   * @param {number} [options.maxConcurrent] - Maximum concurrent requests
+   * @param {object} [options.rateLimit] - Global rate limit as `{ requests, interval, burst }`
+   * @param {object} [options.interfaceLimits] - Limits by driver interface, e.g. `{ 'puter-kvstore': { maxConcurrent: 4 } }`
+   */
+  constructor(options = {}) {
+    this.global = createScope(options);
+    this.interfaceLimits = options.interfaceLimits || {};
+    this.interfaces = new Map();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Get (or create) the scope of a driver interface
+   * @private
+   */
+  scope(name) {
+    if (!name) return null;
+    if (!this.interfaces.has(name)) {
+      this.interfaces.set(name, createScope(this.interfaceLimits[name]));
+    }
+    return this.interfaces.get(name);
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {string} [interfaceName] - Driver interface of the request
+   * @returns {Promise<function(): void>} Resolves with a function releasing the slot
+   */
+  acquire(interfaceName) {
+    const scope = this.scope(interfaceName);
+    return new Promise(resolve => {
+      this.global.queued++;
+      if (scope) scope.queued++;
+      this.queue.push({ scope, resolve });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start every queued request the limits allow
+   * @private
+   */
+  pump() {
+    let wait = Infinity;
+    const blocked = new Set();
+
+    for (let i = 0; i < this.queue.length; i++) {
+      const { scope, resolve } = this.queue[i];
+      if (this.global.active >= this.global.maxConcurrent) break;
+      // Keep FIFO order within an interface
+      if (blocked.has(scope)) continue;
+
+      const scopes = scope ? [this.global, scope] : [this.global];
+      const concurrencyFull = scope && scope.active >= scope.maxConcurrent;
+      const rateWait = Math.max(...scopes.map(s => (s.bucket ? s.bucket.waitTime() : 0)));
+      if (concurrencyFull || rateWait > 0) {
+        if (rateWait > 0) wait = Math.min(wait, rateWait);
+        blocked.add(scope);
+        continue;
+      }
+
+      this.queue.splice(i--, 1);
+      for (const s of scopes) {
+        if (s.bucket) s.bucket.take();
+        s.queued--;
+        s.active++;
+      }
+
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        for (const s of scopes) {
+          s.active--;
+          s.completed++;
+        }
+        this.pump();
+      });
+    }
+
+    if (wait !== Infinity && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, wait);
+    }
+  }
+
+  /**
+   * Snapshot of active, queued and completed requests
+   * @returns {object} Global counters plus counters by driver interface
+   */
+  stats() {
+    const counters = ({ active, queued, completed }) => ({ active, queued, completed });
+    const interfaces = {};
+    for (const [name, scope] of this.interfaces) {
+      interfaces[name] = counters(scope);
+    }
+    return { ...counters(this.global), interfaces };
+  }
+}
+
+/**
+ * Install the scheduler on a client's HTTP instance: requests wait for a slot
+ * before being sent and release it once a response or error arrives. Must be
+ * registered before the other response interceptors.
+ * @param {object} client - The Puter client instance
+ * @param {RequestScheduler} scheduler - Scheduler to use
+ * @returns {void}
+ */
+export function installScheduler(client, scheduler) {
+  client.http.interceptors.request.use(async config => {
+    config[RELEASE] = await scheduler.acquire(getDriverPayload(config)?.interface);
+    return config;
+  });
+
+  client.http.interceptors.response.use(
+    response => {
+      response.config?.[RELEASE]?.();
+      return response;
+    },
+    error => {
+      (error?.config || error?.cause?.config)?.[RELEASE]?.();
+      return Promise.reject(error);
+    }
+  );
+}
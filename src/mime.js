@@ -0,0 +1,61 @@
+/**
+ * Common MIME types by file extension
+ * @type {object}
+ */
+export const MIME_TYPES = {
+  // Text
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  xml: 'application/xml',
+  json: 'application/json',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  // Images
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  avif: 'image/avif',
+  // Audio and video
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  // Documents and archives
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  tar: 'application/x-tar',
+  wasm: 'application/wasm',
+  // Fonts
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+};
+
+/**
+ * Infer the MIME type of a file from its extension
+ * @param {string} name - File name or path
+ * @param {string} [fallback='application/octet-stream'] - Type returned for unknown extensions
+ * @returns {string} The MIME type
+ * @example
+ * getMimeType('/Documents/report.pdf'); // 'application/pdf'
+ */
+export function getMimeType(name, fallback = 'application/octet-stream') {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return (match && MIME_TYPES[match[1].toLowerCase()]) || fallback;
+}
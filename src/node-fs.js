@@ -0,0 +1,207 @@
+import { NotFoundError, ConflictError, PermissionDeniedError } from './errors.js';
+import { splitPath } from './file-utils.js';
+
+// Node error codes for the Puter errors a caller is expected to handle
+const NODE_ERROR_CODES = [
+  [NotFoundError, 'ENOENT', 'no such file or directory'],
+  [ConflictError, 'EEXIST', 'file already exists'],
+  [PermissionDeniedError, 'EACCES', 'permission denied']
+];
+
+// `writeFile` flags the adapter can honour: Puter writes replace the whole file
+const WRITE_FLAGS = ['w', 'w+', 'wx', 'xw', 'wx+', 'xw+'];
+
+/**
+ * Create a Node.js style system error (`code`, `syscall` and `path`)
+ * @private
+ */
+function createNodeError(code, description, syscall, path, cause) {
+  const nodeError = new Error(`${code}: ${description}, ${syscall} '${path}'`, { cause });
+  nodeError.code = code;
+  nodeError.syscall = syscall;
+  nodeError.path = path;
+  return nodeError;
+}
+
+/**
+ * Re-throw a Puter error as a Node.js style system error, so callers checking
+ * `error.code === 'ENOENT'` keep working
+ * @private
+ */
+function toNodeError(error, syscall, path) {
+  const match = NODE_ERROR_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+  if (!match) return error;
+
+  const [, code, description] = match;
+  return createNodeError(code, description, syscall, path, error);
+}
+
+/**
+ * Run a Puter call, converting its errors to Node.js style errors
+ * @private
+ */
+async function nodeCall(syscall, path, call) {
+  try {
+    return await call();
+  } catch (error) {
+    throw toNodeError(error, syscall, path);
+  }
+}
+
+/**
+ * Encoding from a Node.js `options` argument (a string or `{ encoding }`)
+ * @private
+ */
+function encodingOf(options) {
+  return typeof options === 'string' ? options : options?.encoding ?? null;
+}
+
+/**
+ * Convert a Puter timestamp (seconds) to a Date
+ * @private
+ */
+function toDate(seconds) {
+  return new Date((seconds || 0) * 1000);
+}
+
+/**
+ * `fs.Stats`-like view of a Puter item
+ * @class
+ */
+export class PuterStats {
+  /**
+   * Creates a new PuterStats
+   * @param {object} item - Item metadata from `/stat` or `/readdir`
+   */
+  constructor(item) {
+    this.item = item;
+    this.size = item.size ?? 0;
+    this.mode = item.is_dir ? 0o40755 : 0o100644;
+    this.atime = toDate(item.accessed ?? item.modified);
+    this.mtime = toDate(item.modified);
+    this.ctime = toDate(item.modified);
+    this.birthtime = toDate(item.created ?? item.modified);
+    this.atimeMs = this.atime.getTime();
+    this.mtimeMs = this.mtime.getTime();
+    this.ctimeMs = this.ctime.getTime();
+    this.birthtimeMs = this.birthtime.getTime();
+  }
+
+  /** @returns {boolean} True for directories */
+  isDirectory() {
+    return Boolean(this.item.is_dir);
+  }
+
+  /** @returns {boolean} True for regular files */
+  isFile() {
+    return !this.item.is_dir && !this.item.is_symlink && !this.item.is_shortcut;
+  }
+
+  /** @returns {boolean} True for symbolic links and shortcuts */
+  isSymbolicLink() {
+    return Boolean(this.item.is_symlink || this.item.is_shortcut);
+  }
+}
+
+/**
+ * `fs.Dirent`-like directory entry
+ * @class
+ */
+export class PuterDirent extends PuterStats {
+  /**
+   * Creates a new PuterDirent
+   * @param {object} item - Item metadata from `/readdir`
+   * @param {string} parentPath - Path of the directory it was listed from
+   */
+  constructor(item, parentPath) {
+    super(item);
+    this.name = item.name;
+    this.parentPath = parentPath;
+  }
+}
+
+/**
+ * Create an object implementing a subset of Node's `fs/promises` on top of a
+ * PuterFileSystem: `readFile`, `writeFile`, `readdir`, `stat`, `lstat`,
+ * `mkdir`, `rm`, `unlink` and `rename`. Errors for missing, existing or
+ * forbidden items carry the Node codes `ENOENT`, `EEXIST` and `EACCES`.
+ * `writeFile` replaces whole files: append (`a`) and in-place (`r+`) flags
+ * are rejected with `ENOTSUP`.
+ * @param {object} fs - The PuterFileSystem instance
+ * @returns {object} The `fs/promises`-compatible adapter
+ */
+export function createNodeFs(fs) {
+  return {
+    async readFile(path, options) {
+      const data = await nodeCall('open', path, () => fs.read(path, { signal: options?.signal }));
+      const encoding = encodingOf(options);
+      if (!encoding) return data;
+      return typeof Buffer !== 'undefined'
+        ? Buffer.from(data).toString(encoding)
+        : new TextDecoder(encoding).decode(data);
+    },
+
+    async writeFile(path, data, options) {
+      const flag = String(options?.flag ?? 'w');
+      if (!WRITE_FLAGS.includes(flag)) {
+        throw createNodeError('ENOTSUP', `flag '${flag}' is not supported`, 'open', path);
+      }
+      const encoding = encodingOf(options);
+      // Buffer.from honours encodings like base64 for string data
+      const contents = typeof data === 'string' && encoding && typeof Buffer !== 'undefined'
+        ? Buffer.from(data, encoding)
+        : data;
+      await nodeCall('open', path, () => fs.write(path, contents, {
+        overwrite: !flag.includes('x'),
+        createParents: false
+      }));
+    },
+
+    async readdir(path, options) {
+      const entries = await nodeCall('scandir', path, () => fs.readdir(path));
+      return options?.withFileTypes
+        ? entries.map(entry => new PuterDirent(entry, path))
+        : entries.map(entry => entry.name);
+    },
+
+    async stat(path) {
+      return new PuterStats(await nodeCall('stat', path, () => fs.getInfo(path)));
+    },
+
+    async lstat(path) {
+      return new PuterStats(await nodeCall('lstat', path, () => fs.getInfo(path)));
+    },
+
+    async mkdir(path, options) {
+      const recursive = Boolean(options?.recursive);
+      try {
+        await nodeCall('mkdir', path, () => fs.mkdir({
+          path,
+          overwrite: false,
+          dedupeName: false,
+          createParents: recursive
+        }));
+      } catch (error) {
+        // Like Node, an existing directory is fine when creating recursively
+        if (!(recursive && error.code === 'EEXIST')) throw error;
+      }
+    },
+
+    async rm(path, options) {
+      try {
+        await nodeCall('rm', path, () => fs.delete([path], { recursive: Boolean(options?.recursive) }));
+      } catch (error) {
+        if (!(options?.force && error.code === 'ENOENT')) throw error;
+      }
+    },
+
+    async unlink(path) {
+      await nodeCall('unlink', path, () => fs.delete([path], { recursive: false }));
+    },
+
+    async rename(oldPath, newPath) {
+      const { parent, name } = splitPath(newPath);
+      await nodeCall('rename', oldPath, () => fs.move(oldPath, parent, { newName: name, overwrite: true }));
+    }
+  };
+}
@@ -1,5 +1,9 @@
-import { PuterError } from '../errors.js';
+import { PuterError, SchemaValidationError } from '../errors.js';
 import { INTERFACE_CHAT_COMPLETION, INTERFACE_OCR, INTERFACE_TTS, INTERFACE_IMGE_GENERATION } from '../constants.js';
+import { ChatStream } from '../streaming.js';
+import { normalizeTools, extractToolCalls, executeToolCall } from '../tools.js';
+import { extractJson, validateSchema } from '../schema.js';
+import { Conversation } from '../conversation.js';
 
 /**
  * PuterAI class for accessing AI capabilities of the Puter platform
@@ -23,6 +27,7 @@ export class PuterAI {
    * @param {string} [options.model] - The model to use for completion
    * @param {number} [options.temperature] - Controls randomness (0-1, lower is more deterministic)
    * @param {number} [options.max_tokens] - Maximum number of tokens to generate
+   * @param {Array<object>} [options.tools] - Tools the model may call (see {@link PuterAI#runTools}); handlers are not sent
    * @returns {Promise<object>} Chat completion result containing the AI response
    * @throws {Error} If messages are invalid or API request fails
    * @example
@@ -52,7 +57,7 @@ export class PuterAI {
    * );
    * // Process the stream...
    */
-  async chat(prompt, arg2, arg3, arg4) {
+  async chat(prompt, ...rest) {
     let messages;
     let options = {};
     let testMode = false;
@@ -68,7 +73,7 @@ export class PuterAI {
       throw new Error('The first argument must be a string or an array of messages.');
     }
 
-    const args = [arg2, arg3, arg4].filter(arg => arg !== undefined);
+    const args = rest.filter(arg => arg !== undefined);
 
     for (const arg of args) {
       if (typeof arg === 'boolean') {
@@ -85,6 +90,11 @@ export class PuterAI {
     // Determine streaming mode from options
     const isStream = !!(options && options.stream === true);
 
+    // Send tool definitions only, local handlers stay on this side
+    if (options.tools) {
+      options = { ...options, tools: normalizeTools(options.tools).definitions };
+    }
+
     // Since this is a Node.js environment, we assume image URLs are local file paths
     // and we need to upload them to get a file ID that the backend can use.
     if (imageUrls.length > 0) {
@@ -123,52 +133,237 @@ export class PuterAI {
     // Validate message format
     for (const m of messages) {
       const hasValidRole = typeof m === 'object' && typeof m.role === 'string';
-      const hasValidContent = typeof m.content === 'string' || Array.isArray(m.content);
+      const hasValidContent = typeof m.content === 'string' || Array.isArray(m.content)
+        || (m.content == null && Array.isArray(m.tool_calls));
       if (!hasValidRole || !hasValidContent) {
         throw new Error('Invalid message format');
       }
     }
 
 
-    try {
-      const payload = {
-        interface: INTERFACE_CHAT_COMPLETION,
-        driver: 'openai-completion',
-        test_mode: isStream ? false : testMode,
-        method: 'complete',
-        // Ensure args key ordering: messages -> stream -> other options (excluding stream)
-        args: (() => {
-          const { stream: _streamFlag, ...restOptions } = options || {};
-          return {
-            messages,
-            ...(isStream ? { stream: true } : {}),
-            ...restOptions,
-          };
-        })(),
-      };
-
-      if (isStream) {
-        const response = await this.client.http.post('/drivers/call', payload, { responseType: 'stream' });
-        if (response && response.data && typeof response.data.on === 'function' && typeof response.data.pipe === 'function') {
-          return response.data;
-        }
-        if (response && typeof response.on === 'function' && typeof response.pipe === 'function') {
-          return response;
+    const call = {
+      interface: INTERFACE_CHAT_COMPLETION,
+      driver: 'openai-completion',
+      testMode: isStream ? false : testMode,
+      method: 'complete',
+      // Ensure args key ordering: messages -> stream -> other options (excluding stream)
+      args: (() => {
+        const { stream: _streamFlag, ...restOptions } = options || {};
+        return {
+          messages,
+          ...(isStream ? { stream: true } : {}),
+          ...restOptions,
+        };
+      })(),
+      errorMessage: 'Failed to get chat completion'
+    };
+
+    return isStream ? this.client.drivers.stream(call) : this.client.drivers.call(call);
+  }
+
+  /**
+   * Get a streaming chat completion as an async iterable of delta events
+   * @param {Array<object>|string} prompt - Array of chat messages or a string prompt
+   * @param {...(boolean|string|Array<string>|object)} [args] - Same optional arguments as {@link PuterAI#chat}
+   * @returns {Promise<ChatStream>} Stream yielding `text`, `tool_call`, `usage`, `error` and `done` events
+   * @throws {Error} If messages are invalid or API request fails
+   * @example
+   * // Print text deltas as they arrive
+   * const stream = await client.ai.chatStream('Explain quantum physics', { temperature: 0.5 });
+   * for await (const event of stream) {
+   *   if (event.type === 'text') process.stdout.write(event.text);
+   * }
+   *
+   * // Or just wait for the whole answer
+   * const text = await (await client.ai.chatStream('Tell me a joke')).text();
+   */
+  async chatStream(prompt, ...args) {
+    const source = await this.chat(prompt, ...args, { stream: true });
+    return new ChatStream(source);
+  }
+
+  /**
+   * Run a chat completion with tools, executing tool calls locally and feeding
+   * the results back until the model answers without calling a tool
+   * @param {Array<object>|string} prompt - Array of chat messages or a string prompt
+   * @param {object} options - Tool loop options, other keys are passed to {@link PuterAI#chat}
+   * @param {Array<object|Function>} options.tools - Tools as `{ name, description, parameters, execute }`
+   * @param {number} [options.maxIterations=10] - Maximum number of model round-trips
+   * @param {boolean} [options.stream=false] - Use streaming completions for each round-trip
+   * @param {function(object): void} [options.onEvent] - Receives stream events when streaming
+   * @param {function(object): void} [options.onToolCall] - Called with each parsed tool call before it runs
+   * @returns {Promise<object>} Final `message`, the full `messages` history and the number of `iterations`
+   * @throws {Error} If no tools are provided
+   * @throws {PuterError} If the model keeps calling tools after `maxIterations` round-trips
+   * @example
+   * const { message } = await client.ai.runTools('What is the weather in Paris?', {
+   *   tools: [{
+   *     name: 'get_weather',
+   *     description: 'Get the current weather for a city',
+   *     parameters: {
+   *       type: 'object',
+   *       properties: { city: { type: 'string' } },
+   *       required: ['city']
+   *     },
+   *     execute: async ({ city }) => ({ city, temperature: 21 })
+   *   }]
+   * });
+   * console.log(message.content);
+   */
+  async runTools(prompt, options = {}) {
+    const { tools, maxIterations = 10, stream = false, onEvent, onToolCall, ...chatOptions } = options;
+    const { definitions, handlers } = normalizeTools(tools);
+
+    if (definitions.length === 0) {
+      throw new Error('At least one tool is required');
+    }
+
+    const messages = typeof prompt === 'string'
+      ? [{ role: 'user', content: prompt }]
+      : [...prompt];
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      let message;
+      if (stream) {
+        const chatStream = await this.chatStream(messages, { ...chatOptions, tools: definitions });
+        for await (const event of chatStream) {
+          if (onEvent) onEvent(event);
         }
-        return response;
+        message = await chatStream.finalMessage();
       } else {
-        const response = await this.client.http.post('/drivers/call', payload);
-        if (!response.success) {
-          throw new PuterError(response.error?.message || 'Failed to get chat completion');
-        }
-        return response.result;
+        const result = await this.chat(messages, { ...chatOptions, tools: definitions });
+        message = result.message;
       }
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error.message || error.response.data.error, error.response.data.error.code);
+
+      const calls = extractToolCalls(message);
+      const { usage: _usage, ...historyMessage } = message;
+      messages.push(historyMessage);
+      if (calls.length === 0) {
+        return { message, messages, iterations: iteration };
       }
-      throw new Error(error.message || 'Failed to get chat completion');
+
+      for (const call of calls) {
+        if (onToolCall) onToolCall(call);
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: await executeToolCall(call, handlers)
+        });
+      }
+    }
+
+    throw new PuterError({
+      code: 'MAX_TOOL_ITERATIONS',
+      message: `Tool calls did not finish within ${maxIterations} iterations`
+    });
+  }
+
+  /**
+   * Generate a JSON value matching a JSON Schema. The schema is sent as a
+   * response-format hint, the reply is parsed (fenced code blocks included)
+   * and validated, and the model is re-prompted with the validation errors
+   * until it complies or the retries run out.
+   * @param {object} options - Generation options, other keys are passed to {@link PuterAI#chat}
+   * @param {object} options.schema - JSON Schema the output must match
+   * @param {string} [options.prompt] - Prompt describing the object to generate
+   * @param {Array<object>} [options.messages] - Chat messages, used instead of (or before) `prompt`
+   * @param {string} [options.schemaName='response'] - Name sent with the response-format hint
+   * @param {number} [options.maxRetries=2] - Number of re-prompts after an invalid answer
+   * @returns {Promise<object>} The validated `object`, the last chat `result` and the number of `attempts`
+   * @throws {Error} If neither prompt nor messages are provided
+   * @throws {SchemaValidationError} If no valid object was produced within the retry budget
+   * @example
+   * const { object } = await client.ai.generateObject({
+   *   prompt: 'Invent a fictional user',
+   *   schema: {
+   *     type: 'object',
+   *     properties: {
+   *       name: { type: 'string' },
+   *       age: { type: 'integer', minimum: 0 }
+   *     },
+   *     required: ['name', 'age']
+   *   }
+   * });
+   * console.log(object.name, object.age);
+   */
+  async generateObject(options = {}) {
+    const { schema, prompt, messages: inputMessages = [], schemaName = 'response', maxRetries = 2, ...chatOptions } = options;
+
+    if (!schema || typeof schema !== 'object') {
+      throw new Error('Schema is required');
+    }
+    if (!prompt && inputMessages.length === 0) {
+      throw new Error('Prompt or messages are required');
+    }
+
+    const messages = [
+      {
+        role: 'system',
+        content: `Respond only with JSON that matches this JSON Schema:\n${JSON.stringify(schema)}`
+      },
+      ...inputMessages,
+      ...(prompt ? [{ role: 'user', content: prompt }] : [])
+    ];
+    const responseFormat = {
+      type: 'json_schema',
+      json_schema: { name: schemaName, schema }
+    };
+
+    let output;
+    let errors = [];
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const result = await this.chat(messages, { ...chatOptions, response_format: responseFormat });
+      output = messageText(result?.message);
+
+      let object;
+      try {
+        object = extractJson(output);
+        errors = validateSchema(object, schema);
+      } catch (error) {
+        errors = [{ path: '$', message: error.message }];
+      }
+
+      if (errors.length === 0) {
+        return { object, result, attempts: attempt };
+      }
+
+      messages.push(
+        { role: 'assistant', content: output || '' },
+        {
+          role: 'user',
+          content: 'Your previous response did not match the schema:\n'
+            + errors.map(error => `- ${error.path}: ${error.message}`).join('\n')
+            + '\nReply again with corrected JSON only.'
+        }
+      );
     }
+
+    throw new SchemaValidationError({
+      message: `Output did not match the schema after ${maxRetries + 1} attempts`,
+      errors,
+      output
+    });
+  }
+
+  /**
+   * Start a stateful conversation that keeps track of the message history
+   * @param {object} [options] - Conversation options, see {@link Conversation}
+   * @param {string} [options.system] - System prompt
+   * @param {string} [options.model] - Model used for every request
+   * @param {number} [options.maxMessages] - Maximum number of non-system messages to keep
+   * @param {number} [options.maxTokens] - Approximate token budget for the history
+   * @param {Array<object>} [options.messages] - Initial message history
+   * @returns {Conversation} A new conversation
+   * @example
+   * const conversation = client.ai.conversation({ system: 'You are terse.', maxTokens: 4000 });
+   * await conversation.send('Hello!');
+   *
+   * // Persist and restore it later
+   * await client.kv.set('conversation:42', conversation.toJSON());
+   * const restored = client.ai.conversation(await client.kv.get('conversation:42'));
+   */
+  conversation(options = {}) {
+    return new Conversation(this, options);
   }
 
   /**
@@ -186,26 +381,14 @@ export class PuterAI {
       throw new Error('File ID is required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_OCR,
-        method: 'recognize',
-        args: {
-          source: fileId
-        }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'OCR processing failed');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'OCR processing failed');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_OCR,
+      method: 'recognize',
+      args: {
+        source: fileId
+      },
+      errorMessage: 'OCR processing failed'
+    });
   }
 
   /**
@@ -230,26 +413,14 @@ export class PuterAI {
       throw new Error('Prompt is required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_IMGE_GENERATION,
-        method: 'generate',
-        args: {
-          prompt
-        }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Image generation failed');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Image generation failed');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_IMGE_GENERATION,
+      method: 'generate',
+      args: {
+        prompt
+      },
+      errorMessage: 'Image generation failed'
+    });
   }
 
   /**
@@ -262,23 +433,11 @@ export class PuterAI {
    * console.log(voices);
    */
   async listVoices() {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_TTS,
-        method: 'list_voices'
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to list voices');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to list voices');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_TTS,
+      method: 'list_voices',
+      errorMessage: 'Failed to list voices'
+    });
   }
 
 
@@ -297,38 +456,28 @@ export class PuterAI {
    * console.log(openaiModels);
    */
   async listModels(provider) {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_CHAT_COMPLETION,
-        service: 'ai-chat',
-        method: 'models',
-        args: {}
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to list models');
-      }
-
-      const modelsByProvider = {};
+    const result = await this.client.drivers.call({
+      interface: INTERFACE_CHAT_COMPLETION,
+      service: 'ai-chat',
+      method: 'models',
+      args: {},
+      errorMessage: 'Failed to list models'
+    });
 
-      if (!response.result || !Array.isArray(response.result)) {
-        return modelsByProvider;
-      }
-
-      response.result.forEach(item => {
-        if (!item.provider || !item.id) return;
-        if (provider && item.provider !== provider) return;
-        if (!modelsByProvider[item.provider]) modelsByProvider[item.provider] = [];
-        modelsByProvider[item.provider].push(item.id);
-      });
+    const modelsByProvider = {};
 
+    if (!result || !Array.isArray(result)) {
       return modelsByProvider;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to list models');
     }
+
+    result.forEach(item => {
+      if (!item.provider || !item.id) return;
+      if (provider && item.provider !== provider) return;
+      if (!modelsByProvider[item.provider]) modelsByProvider[item.provider] = [];
+      modelsByProvider[item.provider].push(item.id);
+    });
+
+    return modelsByProvider;
   }
 
   /**
@@ -341,34 +490,24 @@ export class PuterAI {
    * console.log(providers); // ['openai', 'anthropic', ...]
    */
   async listModelProviders() {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_CHAT_COMPLETION,
-        service: 'ai-chat',
-        method: 'models',
-        args: {}
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to list model providers');
-      }
-
-      if (!response.result || !Array.isArray(response.result)) {
-        return [];
-      }
+    const result = await this.client.drivers.call({
+      interface: INTERFACE_CHAT_COMPLETION,
+      service: 'ai-chat',
+      method: 'models',
+      args: {},
+      errorMessage: 'Failed to list model providers'
+    });
+
+    if (!result || !Array.isArray(result)) {
+      return [];
+    }
 
-      const providers = new Set();
-      response.result.forEach(item => {
-        if (item.provider) providers.add(item.provider);
-      });
+    const providers = new Set();
+    result.forEach(item => {
+      if (item.provider) providers.add(item.provider);
+    });
 
-      return Array.from(providers);
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to list model providers');
-    }
+    return Array.from(providers);
   }
   /**
    * Synthesize speech from text
@@ -394,25 +533,33 @@ export class PuterAI {
       throw new Error('Text and voice are required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_TTS,
-        method: 'synthesize',
-        args: {
-          text,
-          voice
-        }
-      }, {
-        responseType: 'stream'
-      });
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Speech synthesis failed');
-    }
+    return this.client.drivers.stream({
+      interface: INTERFACE_TTS,
+      method: 'synthesize',
+      args: {
+        text,
+        voice
+      },
+      errorMessage: 'Speech synthesis failed'
+    });
   }
   
-}
\ No newline at end of file
+}
+
+/**
+ * Get the text of an assistant message whose content is a string or an array of parts
+ * @param {object} message - Assistant message
+ * @returns {string} Message text
+ * @private
+ */
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part?.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+  return '';
+}
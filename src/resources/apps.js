@@ -1,4 +1,4 @@
-import { PuterError } from '../errors.js';
+import { NotFoundError, toPuterError } from '../errors.js';
 import { INTERFACE_APPS } from '../constants.js';
 import crypto from '../crypto.js';
 
@@ -33,29 +33,18 @@ export class PuterApps {
   async list(options = {}) {
     const { statsPeriod = 'all', iconSize = 64 } = options;
   
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_APPS,
-        method: 'select',
-        args: {
-          params: { icon_size: iconSize },
-          predicate: ['user-can-edit'],
-          stats_period: statsPeriod
-        }
-      });
-  
-      if (response.error) {
-        throw new PuterError(response.error);
-      }
+    const result = await this.client.drivers.call({
+      interface: INTERFACE_APPS,
+      method: 'select',
+      args: {
+        params: { icon_size: iconSize },
+        predicate: ['user-can-edit'],
+        stats_period: statsPeriod
+      },
+      errorMessage: 'Failed to list apps'
+    });
   
-      return response.result || [];
-    } catch (error) {
-      if (error instanceof PuterError) throw error;
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to list apps');
-    }
+    return result || [];
   }
 
   /**
@@ -68,31 +57,20 @@ export class PuterApps {
       throw new Error('App name is required');
     }
   
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_APPS,
-        method: 'read',
-        args: {
-          id: { name }
-        }
-      });
-  
-      if (response.error) {
-        throw new PuterError(response.error);
-      }
-  
-      if (!response.result) {
-        throw new Error('App not found');
-      }
+    const result = await this.client.drivers.call({
+      interface: INTERFACE_APPS,
+      method: 'read',
+      args: {
+        id: { name }
+      },
+      errorMessage: 'Failed to get app info'
+    });
   
-      return response.result;
-    } catch (error) {
-      if (error instanceof PuterError) throw error;
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to get app info');
+    if (!result) {
+      throw new NotFoundError({ code: 'APP_NOT_FOUND', message: 'App not found' });
     }
+  
+    return result;
   }
 
   /**
@@ -109,7 +87,7 @@ export class PuterApps {
   async createAppRecord(options) {
     const { name, url, description = '' } = options;
     
-    const response = await this.client.http.post('/drivers/call', {
+    const result = await this.client.drivers.call({
       interface: INTERFACE_APPS,
       method: 'create',
       args: {
@@ -127,18 +105,15 @@ export class PuterApps {
         options: {
           dedupe_name: true
         }
-      }
+      },
+      errorMessage: 'Failed to create app record'
     });
   
-    if (response.error) {
-      throw new PuterError(response.error);
-    }
-  
-    if (!response.success || !response.result) {
-      throw new Error(response.error?.message || 'Failed to create app record');
+    if (!result) {
+      throw new Error('Failed to create app record');
     }
   
-    return response.result;
+    return result;
   }
 
   async createAppDirectory(app) {
@@ -179,7 +154,7 @@ export class PuterApps {
    * @throws {Error} If the update operation fails
    */
   async updateAppWithSubdomain(app, subdomainName) {
-    const response = await this.client.http.post('/drivers/call', {
+    return this.client.drivers.callRaw({
       interface: INTERFACE_APPS,
       method: 'update',
       args: {
@@ -188,14 +163,9 @@ export class PuterApps {
           index_url: `https://${subdomainName}.puter.site`,
           title: app.name
         }
-      }
+      },
+      errorMessage: 'Failed to update app with subdomain URL'
     });
-
-    if (!response.success) {
-      throw new Error('Failed to update app with subdomain URL');
-    }
-
-    return response;
   }
 
   /**
@@ -234,17 +204,8 @@ export class PuterApps {
       };
   
     } catch (error) {
-      // Handle specific error cases
-      if (error.response?.data?.error?.code === 'APP_EXISTS') {
-        throw new Error('App already exists');
-      }
-      
-      if (error instanceof PuterError) {
-        throw error;
-      }
-  
-      // Handle network errors or other exceptions
-      throw new Error(error.message || 'Failed to create app');
+      // APP_EXISTS and other server codes are mapped to typed errors
+      throw toPuterError(error, 'Failed to create app');
     }
   }
 
@@ -252,7 +213,7 @@ export class PuterApps {
    * Update an existing app
    * @param {string} name - App name
    * @param {object} options - Options for updating the app
-   * @param {string} [options.directory] - Local directory path containing files to upload to the app
+   * @param {string} [options.directory] - Puter directory containing files to copy into the app
    * @param {string} [options.description] - New description for the app
    * @param {string} [options.url] - New URL for the app
    * @param {boolean} [options.maximizeOnStart] - Whether the app should maximize on start
@@ -261,9 +222,9 @@ export class PuterApps {
    * @throws {PuterError} If the server returns an error
    * @throws {Error} If the app update fails
    * @example
-   * // Update app files from a local directory
+   * // Update app files from a Puter directory
    * const updatedApp = await client.apps.update('myApp', { 
-   *   directory: '/path/to/app/files' 
+   *   directory: '/MyApp/dist' 
    * });
    * 
    * // Update app metadata
@@ -292,8 +253,9 @@ export class PuterApps {
           const files = await this.client.fs.readdir(options.directory);
           for (const file of files) {
             await this.client.fs.copy(
-              path.join(options.directory, file.name),
-              appSubdomain.root_dir.path
+              file.path || `${options.directory}/${file.name}`,
+              appSubdomain.root_dir.path,
+              { overwrite: true }
             );
           }
         }
@@ -301,10 +263,7 @@ export class PuterApps {
 
       return app;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to update app');
+      throw toPuterError(error, 'Failed to update app');
     }
   }
 
@@ -323,18 +282,15 @@ export class PuterApps {
       const app = await this.get(name);
 
       // Step 2: Delete app
-      const deleteResponse = await this.client.http.post('/drivers/call', {
+      await this.client.drivers.call({
         interface: INTERFACE_APPS,
         method: 'delete',
         args: {
           id: { name }
-        }
+        },
+        errorMessage: 'Failed to delete app'
       });
 
-      if (!deleteResponse.success) {
-        throw new Error('Failed to delete app');
-      }
-
       // Step 3: Delete associated subdomain
       const hosting = await this.client.hosting.list();
       const appSubdomain = hosting.find(sd => 
@@ -347,10 +303,7 @@ export class PuterApps {
 
       return true;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to delete app');
+      throw toPuterError(error, 'Failed to delete app');
     }
   }
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { PuterError } from '../errors.js';
+import { AuthenticationError, toPuterError } from '../errors.js';
 
 /**
  * PuterAuth class for handling authentication with the Puter platform
@@ -67,9 +67,9 @@ export class PuterAuth {
       if (!response.proceed || !response.token) {
         // Check for specific OTP failure
         if (response.error?.code === 'INVALID_OTP') {
-          throw new Error(response.error.message || 'Invalid OTP code');
+          throw new AuthenticationError({ message: response.error.message || 'Invalid OTP code' });
         }
-        throw new Error('Authentication failed: Invalid credentials');
+        throw new AuthenticationError({ message: 'Authentication failed: Invalid credentials' });
       }
   
       // Update client with new token
@@ -78,10 +78,7 @@ export class PuterAuth {
   
       return response;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Authentication failed');
+      throw toPuterError(error, 'Authentication failed');
     }
   }
 
@@ -118,10 +115,7 @@ export class PuterAuth {
       this.client.token = null;
       delete this.client.http.defaults.headers['Authorization'];
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(`Failed to logout : ${error.message}`);
+      throw toPuterError(error, 'Failed to logout');
     }
   }
     
@@ -140,10 +134,7 @@ export class PuterAuth {
       const response = await this.client.http.get('/whoami');
       return response;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to get user information');
+      throw toPuterError(error, 'Failed to get user information');
     }
   }
 
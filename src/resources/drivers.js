@@ -0,0 +1,145 @@
+import { createPuterError, toPuterError } from '../errors.js';
+
+/**
+ * PuterDrivers class for calling Puter driver interfaces through `/drivers/call`.
+ * Every resource built on drivers (key-value store, hosting, apps, AI) goes
+ * through this class, and it can be used directly for interfaces the SDK
+ * does not wrap yet.
+ * @class
+ */
+export class PuterDrivers {
+  /**
+   * Creates an instance of PuterDrivers
+   * @param {object} client - The Puter client instance
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Call a driver method and return its result
+   * @param {object|string} options - Call options, or the interface name followed by `method` and `args`
+   * @param {string} options.interface - Driver interface (e.g. `puter-kvstore`)
+   * @param {string} options.method - Method to call
+   * @param {object} [options.args] - Method arguments
+   * @param {string} [options.service] - Service implementing the interface
+   * @param {string} [options.driver] - Driver implementing the interface
+   * @param {boolean} [options.testMode] - Ask the driver for a canned test response (sent as `test_mode`)
+   * @param {string} [options.errorMessage] - Error message used when the server does not send one
+   * @param {object} [requestConfig] - Axios request config, e.g. `{ retry: false }` or `{ signal }`
+   * @returns {Promise<*>} The `result` of the driver call
+   * @throws {PuterError} If the request fails or the driver reports an error
+   * @example
+   * // Call an interface the SDK does not wrap
+   * const result = await client.drivers.call({
+   *   interface: 'puter-chat-completion',
+   *   service: 'ai-chat',
+   *   method: 'models'
+   * });
+   *
+   * // Positional form
+   * const value = await client.drivers.call('puter-kvstore', 'get', { key: 'greeting' });
+   */
+  async call(options, ...rest) {
+    const response = await this.callRaw(options, ...rest);
+    return response?.result;
+  }
+
+  /**
+   * Call a driver method and return the whole response envelope
+   * (`{ success, result, ... }`) instead of only its result
+   * @param {object|string} options - Same as {@link PuterDrivers#call}
+   * @param {...*} [rest] - Same as {@link PuterDrivers#call}
+   * @returns {Promise<object>} The driver response
+   * @throws {PuterError} If the request fails or the driver reports an error
+   * @example
+   * const response = await client.drivers.callRaw({
+   *   interface: 'puter-subdomains',
+   *   method: 'delete',
+   *   args: { id: { subdomain: 'my-site' } }
+   * });
+   * console.log(response.success);
+   */
+  async callRaw(options, ...rest) {
+    const { payload, errorMessage, requestConfig } = parseCall(options, rest);
+
+    try {
+      const response = await this.client.http.post('/drivers/call', payload, requestConfig);
+
+      // Some drivers omit `success` on success, so only explicit failures count
+      if (response?.success === false || response?.error) {
+        throw createPuterError(response.error || { message: errorMessage });
+      }
+
+      return response;
+    } catch (error) {
+      throw toPuterError(error, errorMessage);
+    }
+  }
+
+  /**
+   * Call a driver method that streams its response (chat completions,
+   * speech synthesis, ...)
+   * @param {object|string} options - Same as {@link PuterDrivers#call}
+   * @param {...*} [rest] - Same as {@link PuterDrivers#call}
+   * @returns {Promise<Stream>} The response body stream
+   * @throws {PuterError} If the request fails
+   * @example
+   * const audio = await client.drivers.stream({
+   *   interface: 'puter-tts',
+   *   method: 'synthesize',
+   *   args: { text: 'Hello', voice: 'en-US-Neural2-F' }
+   * });
+   * audio.pipe(fs.createWriteStream('hello.mp3'));
+   */
+  async stream(options, ...rest) {
+    const { payload, errorMessage, requestConfig } = parseCall(options, rest);
+
+    try {
+      const response = await this.client.http.post('/drivers/call', payload, {
+        ...requestConfig,
+        responseType: 'stream'
+      });
+      return typeof response?.data?.pipe === 'function' ? response.data : response;
+    } catch (error) {
+      throw toPuterError(error, errorMessage);
+    }
+  }
+}
+
+/**
+ * Normalize the object and positional call forms into a request payload.
+ * Keys left undefined are omitted from the payload.
+ * @private
+ */
+function parseCall(options, rest) {
+  let requestConfig;
+  if (typeof options === 'string') {
+    const [method, args, config] = rest;
+    options = { interface: options, method, args };
+    requestConfig = config;
+  } else {
+    requestConfig = rest[0];
+  }
+
+  const { interface: iface, service, driver, method, args, errorMessage } = options || {};
+  const testMode = options?.testMode ?? options?.test_mode;
+  if (!iface || !method) {
+    throw new Error('Driver interface and method are required');
+  }
+
+  const payload = {
+    interface: iface,
+    ...(service !== undefined ? { service } : {}),
+    ...(driver !== undefined ? { driver } : {}),
+    ...(testMode !== undefined ? { test_mode: testMode } : {}),
+    method,
+    ...(args !== undefined ? { args } : {})
+  };
+
+  return {
+    payload,
+    errorMessage: errorMessage || `Failed to call ${iface}.${method}`,
+    requestConfig
+  };
+}
@@ -1,3 +1,84 @@
+import { PuterError, NotFoundError } from '../errors.js';
+import { globToRegExp, globBase, hasGlob } from '../glob.js';
+import { syncDirectories } from '../sync.js';
+import { getMimeType } from '../mime.js';
+import { splitPath, joinPath, toBlob, toFileRef, toFileParam, toPath } from '../file-utils.js';
+import { FileBatch } from '../batch.js';
+import { createNodeFs } from '../node-fs.js';
+import crypto from '../crypto.js';
+
+const READ_FORMATS = ['buffer', 'text', 'json', 'stream'];
+
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+// Metadata keys set by trash() and removed by restore()
+const TRASH_METADATA_KEYS = ['original_name', 'original_path', 'trashed_ts'];
+
+/**
+ * Create a function reporting upload progress to `onProgress`, with the
+ * average rate since the upload (or resume) started
+ * @private
+ */
+function createProgressReporter(onProgress, total) {
+  const startedAt = Date.now();
+  let startLoaded = 0;
+  return (loaded, start = false) => {
+    if (start) startLoaded = loaded;
+    if (!onProgress) return;
+    const seconds = (Date.now() - startedAt) / 1000;
+    onProgress({
+      loaded: Math.min(loaded, total),
+      total,
+      rate: seconds > 0 ? Math.round((loaded - startLoaded) / seconds) : 0
+    });
+  };
+}
+
+/**
+ * Convert response data to a Buffer in Node, or an ArrayBuffer in browsers
+ * @private
+ */
+function toBinary(data) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data);
+  }
+  return typeof data === 'string' ? new TextEncoder().encode(data).buffer : data;
+}
+
+/**
+ * Metadata stored on an item, which may come back as the JSON string it is stored as
+ * @private
+ */
+function parseMetadata(item) {
+  return typeof item?.metadata === 'string' ? JSON.parse(item.metadata || '{}') : item?.metadata || {};
+}
+
+/**
+ * SHA-256 digest stored in the metadata of a file, if it was stored for the
+ * current contents (same size and modification time)
+ * @private
+ */
+function storedDigest(item) {
+  const { sha256, size, modified } = parseMetadata(item);
+  return typeof sha256 === 'string' && size === item.size && modified === item.modified
+    ? sha256
+    : undefined;
+}
+
+/**
+ * Decode response data as UTF-8 text
+ * @private
+ */
+function decodeText(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+/**
+ * A file or directory: a path, a `{ path }` or `{ uid }` reference, or an item
+ * object returned by the SDK (addressed by its `uid`)
+ * @typedef {string|{path: string}|{uid: string}|object} FileTarget
+ */
+
 /**
  * PuterFileSystem class for file system operations
  * @class
@@ -13,7 +94,7 @@ export class PuterFileSystem {
 
   /**
    * List objects in a directory (alias to readdir)
-   * @param {string} path - Path to the directory
+   * @param {FileTarget} path - The directory
    * @returns {Promise<Array>} Array of directory contents
    * @throws {Error} If the directory cannot be read
    * @example
@@ -26,27 +107,172 @@ export class PuterFileSystem {
 
   /**
    * List objects in a directory
-   * @param {string} path - Path to the directory
+   * @param {FileTarget} path - The directory
    * @returns {Promise<Array>} Array of directory contents with file metadata
    * @throws {Error} If the directory cannot be read
    * @example
    * // Read directory contents
    * const files = await client.fs.readdir('/Documents');
+   *
+   * // By UID
+   * const same = await client.fs.readdir({ uid: documents.uid });
    */
   async readdir(path) {
-    const response = await this.client.http.post('/readdir', { path });
+    const response = await this.client.http.post('/readdir', toFileRef(path));
     return response;
   }
 
+  /**
+   * Walk a directory tree, yielding every entry below it. Directories are read
+   * breadth-first, several at a time.
+   * @param {FileTarget} path - Directory to walk
+   * @param {object} [options={}] - Walk options
+   * @param {number} [options.depth=Infinity] - Maximum depth (1 lists only the direct children)
+   * @param {function(object): boolean|Promise<boolean>} [options.filter] - Return false to skip an
+   * entry; skipped directories are not descended into
+   * @param {number} [options.concurrency=4] - Maximum number of directories read in parallel
+   * @param {number} [options.maxEntries=100000] - Abort once more entries than this have been seen
+   * @yields {object} Directory entries (as returned by `readdir`) with an added `depth`
+   * @throws {PuterError} With code `WALK_LIMIT_EXCEEDED` if `maxEntries` is exceeded
+   * @example
+   * // Print every JSON file under /Documents
+   * for await (const entry of client.fs.walk('/Documents', {
+   *   filter: entry => entry.is_dir || entry.name.endsWith('.json')
+   * })) {
+   *   if (!entry.is_dir) console.log(entry.path);
+   * }
+   */
+  async *walk(path, options = {}) {
+    const { depth = Infinity, filter, concurrency = 4, maxEntries = 100000 } = options;
+    const ref = toFileRef(path);
+    // Entry paths are built from the root, so a UID is resolved once
+    const rootPath = ref.path ?? (await this.resolve(ref)).path;
+    const root = rootPath === '/' ? '/' : rootPath.replace(/\/+$/, '');
+    // Directories already read, to survive symlink cycles
+    const visited = new Set();
+    let level = [root];
+    let seen = 0;
+
+    for (let current = 1; level.length > 0 && current <= depth; current++) {
+      const next = [];
+      for (let i = 0; i < level.length; i += concurrency) {
+        const batch = level.slice(i, i + concurrency);
+        const listings = await Promise.all(batch.map(dir => this.readdir(dir)));
+
+        for (const [index, entries] of listings.entries()) {
+          for (const item of entries || []) {
+            if (++seen > maxEntries) {
+              throw new PuterError({
+                code: 'WALK_LIMIT_EXCEEDED',
+                message: `Walk aborted after ${maxEntries} entries`
+              });
+            }
+
+            const entry = { ...item, path: item.path || joinPath(batch[index], item.name), depth: current };
+            if (filter && !(await filter(entry))) {
+              continue;
+            }
+            yield entry;
+
+            const key = entry.uid || entry.path;
+            if (entry.is_dir && !visited.has(key)) {
+              visited.add(key);
+              next.push(entry.path);
+            }
+          }
+        }
+      }
+      level = next;
+    }
+  }
+
+  /**
+   * Find files matching a glob pattern. Supports `*`, `**`, `?`, `[abc]` and `{a,b}`.
+   * @param {string} pattern - Absolute glob pattern, e.g. `/Documents/**\/*.md`
+   * @param {object} [options={}] - Glob options
+   * @param {boolean} [options.dirs=false] - Whether to include matching directories
+   * @param {number} [options.concurrency=4] - Maximum number of directories read in parallel
+   * @param {number} [options.maxEntries=100000] - Abort once more entries than this have been seen
+   * @returns {Promise<Array<object>>} Matching entries
+   * @throws {PuterError} If a directory cannot be read or `maxEntries` is exceeded
+   * @example
+   * const notes = await client.fs.glob('/Documents/**\/*.{md,txt}');
+   * console.log(notes.map(entry => entry.path));
+   */
+  async glob(pattern, options = {}) {
+    const { dirs = false, ...walkOptions } = options;
+
+    // Plain paths only need a stat
+    if (!hasGlob(pattern)) {
+      try {
+        const entry = await this.getInfo(pattern);
+        return !entry?.is_dir || dirs ? [entry] : [];
+      } catch (error) {
+        if (error instanceof NotFoundError) return [];
+        throw error;
+      }
+    }
+
+    const regex = globToRegExp(pattern);
+    const { base, depth } = globBase(pattern);
+    const matches = [];
+    for await (const entry of this.walk(base, { ...walkOptions, depth })) {
+      if ((dirs || !entry.is_dir) && regex.test(entry.path)) {
+        matches.push(entry);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Synchronise a local directory with a Puter directory. Files are compared by
+   * size and modification time (or content hash with `checksum`), and only the
+   * changed ones are transferred. Downloaded files get the remote modification time,
+   * and with `both` uploaded files get the time Puter stamped on them, so that a
+   * following run finds nothing to do. Empty directories are not synchronised. Node.js only.
+   * @param {string} localDir - Local directory
+   * @param {string} remoteDir - Puter directory
+   * @param {object} [options={}] - Sync options
+   * @param {string} [options.direction='push'] - `push` (local to Puter), `pull` (Puter to local)
+   * or `both` (the newer copy wins)
+   * @param {boolean} [options.delete=false] - Delete files missing from the source side
+   * (ignored with `both`)
+   * @param {boolean} [options.dryRun=false] - Only report the changes
+   * @param {string|Array<string>} [options.exclude] - Glob patterns of relative paths to skip;
+   * patterns without `/` match file and directory names at any depth
+   * @param {boolean} [options.checksum=false] - Compare SHA-256 hashes of same-size files
+   * instead of modification times
+   * @param {number} [options.concurrency=4] - Maximum number of parallel transfers
+   * @returns {Promise<object>} Change report: `changes` (`{ action, path, reason }` with action
+   * `upload`, `download`, `delete-remote` or `delete-local`), `unchanged`, `uploaded`,
+   * `downloaded` and `deleted` relative paths
+   * @throws {Error} If the options are invalid
+   * @throws {PuterError} If a transfer fails, or a remote directory disappears while being
+   * listed (a missing `remoteDir` itself counts as empty)
+   * @example
+   * // Deploy a build, removing stale files
+   * const report = await client.fs.sync('./dist', '/MyWebsite', {
+   *   delete: true,
+   *   exclude: ['*.map', '.DS_Store']
+   * });
+   * console.log(`${report.uploaded.length} uploaded, ${report.deleted.length} deleted`);
+   *
+   * // Preview a backup restore
+   * const preview = await client.fs.sync('./backup', '/Backups/2024', { direction: 'pull', dryRun: true });
+   */
+  async sync(localDir, remoteDir, options = {}) {
+    return syncDirectories(this, localDir, remoteDir, options);
+  }
+
   /**
    * Create a directory
    * @param {object} options - Directory creation options
-   * @param {string} options.path - Path of the directory to create
+   * @param {string|object} options.path - Path of the directory to create, or `{ path }`
    * @param {boolean} [options.overwrite=false] - Whether to overwrite existing directory
    * @param {boolean} [options.dedupeName=true] - Whether to deduplicate directory name if it exists
    * @param {boolean} [options.createParents=true] - Whether to create parent directories if they don't exist
    * @returns {Promise<object>} Result of the directory creation operation
-   * @throws {Error} If the directory cannot be created
+   * @throws {Error} If the path is missing or the directory cannot be created
    * @example
    * // Create a directory
    * const result = await client.fs.mkdir({
@@ -58,8 +284,10 @@ export class PuterFileSystem {
    */
   async mkdir(options) {
     const { path, overwrite = false, dedupeName = true, createParents = true } = options;
-    const parent = path.split('/').slice(0, -1).join('/') || '/';
-    const dirName = path.split('/').pop();
+    const { parent, name: dirName } = splitPath(toPath(path));
+    if (!dirName) {
+      throw new Error('A directory path is required');
+    }
 
     const response = await this.client.http.post('/mkdir', {
       parent,
@@ -74,7 +302,7 @@ export class PuterFileSystem {
 
   /**
    * Get information about a file or directory
-   * @param {string} path - Path to the file/directory
+   * @param {FileTarget} path - The file/directory
    * @returns {Promise<object>} File/directory metadata including size, type, and timestamps
    * @throws {Error} If the file/directory information cannot be retrieved
    * @example
@@ -83,27 +311,47 @@ export class PuterFileSystem {
    * console.log(`File size: ${fileInfo.size} bytes`);
    */
   async getInfo(path) {
-    const response = await this.client.http.post('/stat', { path });
+    const response = await this.client.http.post('/stat', toFileRef(path));
     return response;
   }
 
+  /**
+   * Look up the current path and UID of a file or directory. Store the UID to
+   * keep a reference that survives renames and moves, and resolve it back to
+   * a path when needed.
+   * @param {FileTarget} target - The file/directory
+   * @returns {Promise<object>} Item metadata, including `uid` and `path`
+   * @throws {NotFoundError} If the item does not exist
+   * @example
+   * const { uid } = await client.fs.resolve('/Documents/report.pdf');
+   * // After the file was moved
+   * const { path } = await client.fs.resolve({ uid });
+   */
+  async resolve(target) {
+    return this.getInfo(target);
+  }
+
   /**
    * Rename a file or directory
-   * @param {string} oldPath - Current path of the file/directory
-   * @param {string} newPath - New path for the file/directory
+   * @param {FileTarget} oldPath - The file/directory to rename
+   * @param {string} newPath - New path (or name) for the file/directory
    * @returns {Promise<object>} Result of the rename operation
    * @throws {Error} If the file/directory cannot be renamed
    * @example
    * // Rename a file
    * const result = await client.fs.rename('/Documents/old.txt', '/Documents/new.txt');
+   *
+   * // Rename by UID, without a lookup
+   * await client.fs.rename({ uid: item.uid }, 'new.txt');
    */
   async rename(oldPath, newPath) {
-    // Get file UID
-    const statResponse = await this.getInfo(oldPath);
-    
+    // Get file UID, unless it is already known
+    const ref = toFileRef(oldPath);
+    const uid = ref.uid ?? (await this.getInfo(ref)).uid;
+
     // Perform rename
     const response = await this.client.http.post('/rename', {
-      uid: statResponse.uid,
+      uid,
       new_name: newPath.split('/').pop()
     });
 
@@ -111,13 +359,177 @@ export class PuterFileSystem {
   }
 
   /**
-   * Upload a file to the specified path
+   * Copy a file or directory into another directory
+   * @param {FileTarget} source - The file/directory to copy
+   * @param {FileTarget} destination - The destination directory
+   * @param {object} [options={}] - Copy options
+   * @param {boolean} [options.overwrite=false] - Whether to replace an existing item with the same name
+   * @param {string} [options.newName] - Name of the copy (defaults to the source name)
+   * @param {boolean} [options.dedupeName=false] - Whether to pick a free name if the item exists
+   * @returns {Promise<object>} Metadata of the copy
+   * @throws {Error} If the source or destination is missing
+   * @throws {PuterError} If the item cannot be copied
+   * @example
+   * // Copy a file, keeping both versions if the name is taken
+   * const copy = await client.fs.copy('/Documents/report.pdf', '/Backups', { dedupeName: true });
+   * console.log(copy.path);
+   */
+  async copy(source, destination, options = {}) {
+    const { overwrite = false, newName, dedupeName = false } = options;
+    if (!source || !destination) {
+      throw new Error('Source and destination are required');
+    }
+
+    const response = await this.client.http.post('/copy', {
+      source: toFileParam(source),
+      destination: toFileParam(destination),
+      overwrite,
+      new_name: newName,
+      dedupe_name: dedupeName
+    });
+
+    // The server answers with one `{ copied, overwritten }` entry per source
+    const entry = Array.isArray(response) ? response[0] : response;
+    return entry?.copied ?? entry;
+  }
+
+  /**
+   * Move a file or directory into another directory. Unlike {@link PuterFileSystem#rename},
+   * the item can change directory and name at the same time.
+   * @param {FileTarget} source - The file/directory to move
+   * @param {FileTarget} destination - The destination directory
+   * @param {object} [options={}] - Move options
+   * @param {boolean} [options.overwrite=false] - Whether to replace an existing item with the same name
+   * @param {string} [options.newName] - New name of the item (defaults to the source name)
+   * @param {boolean} [options.dedupeName=false] - Whether to pick a free name if the item exists
+   * @param {boolean} [options.createParents=false] - Whether to create the destination directory if missing
+   * @param {object} [options.metadata] - Metadata to store on the moved item, replacing the current
+   * one. A `sha256` digest stored here with the `size` and `modified` time of the file can be
+   * used by {@link PuterFileSystem#verify}.
+   * @returns {Promise<object>} Metadata of the moved item
+   * @throws {Error} If the source or destination is missing
+   * @throws {PuterError} If the item cannot be moved
+   * @example
+   * // Archive a file under a new name
+   * const moved = await client.fs.move('/Documents/draft.txt', '/Archive', { newName: 'draft-2024.txt' });
+   */
+  async move(source, destination, options = {}) {
+    const { overwrite = false, newName, dedupeName = false, createParents = false, metadata } = options;
+    if (!source || !destination) {
+      throw new Error('Source and destination are required');
+    }
+
+    const response = await this.client.http.post('/move', {
+      source: toFileParam(source),
+      destination: toFileParam(destination),
+      overwrite,
+      new_name: newName,
+      dedupe_name: dedupeName,
+      create_missing_parents: createParents,
+      new_metadata: metadata
+    });
+
+    return response?.moved ?? response;
+  }
+
+  /**
+   * Update the modification time of a file, creating an empty file if it does not exist
+   * @param {FileTarget} path - The file (a UID reference must point to an existing file)
+   * @returns {Promise<object>} Metadata of the file
+   * @throws {PuterError} If the file cannot be created or updated
+   * @example
+   * const item = await client.fs.touch('/Documents/.keep');
+   */
+  async touch(target) {
+    if (!target) {
+      throw new Error('Path is required');
+    }
+    // The endpoint only takes paths
+    const path = toFileRef(target).path ?? (await this.resolve(target)).path;
+
+    try {
+      await this.client.http.post('/touch', {
+        path,
+        set_accessed_to_now: true,
+        set_modified_to_now: true
+      });
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+      return this.write(path, '', { overwrite: false });
+    }
+
+    return this.getInfo(path);
+  }
+
+  /**
+   * Get an adapter implementing the common subset of Node's `fs/promises`
+   * (`readFile`, `writeFile`, `readdir`, `stat`, `lstat`, `mkdir`, `rm`, `unlink`
+   * and `rename`) on top of Puter storage, for libraries written against it.
+   * Missing, existing and forbidden items fail with the Node error codes
+   * `ENOENT`, `EEXIST` and `EACCES`. `writeFile` replaces whole files, so the
+   * append and `r+` flags fail with `ENOTSUP`.
+   * @returns {object} The `fs/promises`-compatible adapter
+   * @example
+   * const fsp = client.fs.asNodeFs();
+   * await fsp.mkdir('/me/cache', { recursive: true });
+   * await fsp.writeFile('/me/cache/data.json', JSON.stringify(data));
+   * const stats = await fsp.stat('/me/cache/data.json');
+   * console.log(stats.isFile(), stats.size, stats.mtime);
+   */
+  asNodeFs() {
+    return createNodeFs(this);
+  }
+
+  /**
+   * Start a batch of file system operations sent in a single `/batch` request
+   * @returns {FileBatch} Batch builder with `write`, `mkdir`, `shortcut` and `commit`
+   * @example
+   * const { results, failures } = await client.fs.batch()
+   *   .mkdir('/Projects/site')
+   *   .write('/Projects/site/index.html', '<h1>Hello</h1>')
+   *   .shortcut('/Desktop/site', '/Projects/site')
+   *   .commit();
+   */
+  batch() {
+    return new FileBatch(this.client);
+  }
+
+  /**
+   * Upload a file to the specified path. Large files can be sent in parts
+   * with `resumable`, so that a failed part is retried on its own and an
+   * interrupted upload can be resumed from its last committed part.
    * @param {object} options - Upload options
    * @param {File|Blob} options.file - The file to upload
    * @param {string} options.path - Destination directory path
    * @param {string} options.name - Name to give the uploaded file
+   * @param {boolean} [options.overwrite] - Whether to replace an existing file
+   * @param {boolean} [options.dedupeName] - Whether to pick a free name if the file exists
+   * @param {boolean} [options.createParents] - Whether to create missing parent directories
+   * @param {function(object): void} [options.onProgress] - Called with `{ loaded, total, rate }`
+   * (bytes, bytes and bytes per second) as the upload progresses
+   * @param {AbortSignal} [options.signal] - Signal to abort the upload
+   * @param {boolean} [options.resumable=false] - Upload in parts of `partSize` bytes. Parts after
+   * the first one are written at their position with the `offset` field of the write operation.
+   * The size of the file is checked after each part, so that a server ignoring the field (and
+   * replacing the file with each part) fails the upload with `UPLOAD_SIZE_MISMATCH`.
+   * @param {number} [options.partSize=8388608] - Part size in bytes (resumable mode)
+   * @param {number} [options.partRetries=3] - Retries per failed part (resumable mode). The first
+   * part is not retried, since a replay could create a second file with a deduplicated name.
+   * @param {object} [options.state] - Upload state from `onState` or `error.uploadState`, to resume
+   * an interrupted upload of the same file
+   * @param {function(object): void} [options.onState] - Called with the upload state after each
+   * committed part, to persist it
+   * @param {boolean} [options.sha256=false] - Whether to compute the SHA-256 digest of the whole
+   * file, returned as `sha256`. Puter only stores item metadata when an item is moved, so the
+   * upload cannot attach the digest itself: keep it, or move the file into place with
+   * `metadata: { sha256, size, modified }` so that {@link PuterFileSystem#verify} can use it.
    * @returns {Promise<object>} Result of the upload operation with file metadata
-   * @throws {Error} If the file cannot be uploaded
+   * (of the last part in resumable mode)
+   * @throws {Error} If the resume state does not match the upload
+   * @throws {PuterError} If the file cannot be uploaded; in resumable mode the error has an
+   * `uploadState` property to resume from
    * @example
    * // Upload a file
    * const fileInput = document.querySelector('input[type="file"]');
@@ -126,36 +538,480 @@ export class PuterFileSystem {
    *   path: '/Documents',
    *   name: 'uploaded-file.pdf'
    * });
+   *
+   * // Upload a large file in parts, resuming after a failure
+   * const options = {
+   *   file: await fs.openAsBlob('./backup.tar'),
+   *   path: '/Backups',
+   *   name: 'backup.tar',
+   *   resumable: true,
+   *   onProgress: ({ loaded, total }) => console.log(`${Math.round(loaded / total * 100)}%`)
+   * };
+   * try {
+   *   await client.fs.upload(options);
+   * } catch (error) {
+   *   await client.fs.upload({ ...options, state: error.uploadState });
+   * }
    */
-  async upload({ file, path, name }) {
+  async upload(options) {
+    const { file, path, name, resumable = false, onProgress, signal, overwrite, dedupeName, createParents, sha256 } = options;
+    const blob = await toBlob(file, file?.type);
+    const progress = createProgressReporter(onProgress, blob.size);
+    const digest = sha256 ? await crypto.sha256(blob) : undefined;
+
+    let response;
+    if (resumable) {
+      response = await this.uploadParts(blob, options, progress);
+    } else {
+      response = await this.sendWrite(
+        { path, name, blob, overwrite, dedupeName, createParents },
+        { signal, onUploadProgress: event => progress(event.loaded) }
+      );
+      progress(blob.size);
+    }
+    return digest ? { ...response, sha256: digest } : response;
+  }
+
+  /**
+   * Upload a Blob in parts, committing one part per request
+   * @private
+   */
+  async uploadParts(blob, options, progress) {
+    const {
+      path,
+      name,
+      signal,
+      partSize = DEFAULT_PART_SIZE,
+      partRetries = 3,
+      overwrite,
+      dedupeName,
+      createParents,
+      onState
+    } = options;
+
+    let state = options.state
+      ? { ...options.state }
+      : { path, name, size: blob.size, partSize, bytesCommitted: 0 };
+    if (state.path !== path || state.size !== blob.size || state.bytesCommitted > blob.size) {
+      throw new Error('Upload state does not match the file being uploaded');
+    }
+    progress(state.bytesCommitted, true);
+
+    let response;
+    try {
+      do {
+        const offset = state.bytesCommitted;
+        const part = blob.slice(offset, offset + state.partSize, blob.type);
+        const first = offset === 0;
+
+        response = await this.sendWrite(
+          {
+            path,
+            // Later parts target the name given to the first one (it may have been deduplicated)
+            name: state.name,
+            blob: part,
+            // Later parts write into the file created by the first one
+            overwrite: first ? overwrite : true,
+            dedupeName: first ? dedupeName : false,
+            createParents: first ? createParents : undefined,
+            offset: first ? undefined : offset
+          },
+          {
+            signal,
+            onUploadProgress: event => progress(offset + event.loaded),
+            // Writing the same bytes at the same offset twice is harmless, but
+            // replaying the first part could create a second, deduplicated file
+            idempotent: !first,
+            retry: { maxAttempts: partRetries + 1 }
+          }
+        );
+
+        const committed = {
+          ...state,
+          name: (first && response?.results?.[0]?.name) || state.name,
+          bytesCommitted: offset + part.size
+        };
+        await this.checkPartSize(response, committed);
+        state = committed;
+        progress(state.bytesCommitted);
+        if (onState) onState({ ...state });
+      } while (state.bytesCommitted < state.size);
+    } catch (error) {
+      error.uploadState = { ...state };
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Check that the file has grown to the bytes committed so far, using the size
+   * in the write result or, if there is none, the file metadata
+   * @private
+   */
+  async checkPartSize(response, state) {
+    const item = response?.results?.[0];
+    const size = typeof item?.size === 'number'
+      ? item.size
+      : (await this.getInfo(joinPath(state.path, state.name))).size;
+    if (size !== state.bytesCommitted) {
+      throw new PuterError({
+        code: 'UPLOAD_SIZE_MISMATCH',
+        message: `${state.name} has ${size} bytes after writing ${state.bytesCommitted}; ` +
+          'the server may not support writing at an offset'
+      });
+    }
+  }
+
+  /**
+   * Send a single write operation to `/batch`
+   * @private
+   */
+  async sendWrite({ path, name, blob, overwrite, dedupeName, createParents, offset }, requestConfig) {
     const formData = new FormData();
-    formData.append('operation_id', Date.now().toString());
-    formData.append('fileinfo', JSON.stringify({ 
-      name, 
-      type: file.type, 
-      size: file.size 
-    }));
-    formData.append('operation', JSON.stringify({ 
-      op: 'write', 
-      path, 
-      name 
+    formData.append('operation_id', crypto.randomUUID());
+    formData.append('fileinfo', JSON.stringify({ name, type: blob.type, size: blob.size }));
+    // Undefined options are left out so the server defaults apply
+    formData.append('operation', JSON.stringify({
+      op: 'write',
+      path,
+      name,
+      overwrite,
+      dedupe_name: dedupeName,
+      create_missing_parents: createParents,
+      offset
     }));
-    formData.append('file', file);
-  
-    return this.client.http.post('/batch', formData);
+    formData.append('file', blob, name);
+
+    return this.client.http.post('/batch', formData, requestConfig);
+  }
+
+  /**
+   * Write a file from a string, Buffer, typed array, Blob or Node.js readable stream
+   * @param {FileTarget} target - Destination file (a UID reference must point to an existing file)
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Blob|Stream} data - File contents. Streams are
+   * read into memory before being uploaded.
+   * @param {object} [options={}] - Write options
+   * @param {boolean} [options.overwrite=true] - Whether to replace an existing file
+   * @param {boolean} [options.dedupeName=false] - Whether to pick a free name if the file exists
+   * @param {boolean} [options.createParents=true] - Whether to create missing parent directories
+   * @param {string} [options.contentType] - MIME type (inferred from the extension by default)
+   * @param {AbortSignal} [options.signal] - Signal to abort the upload
+   * @param {boolean} [options.sha256=false] - Whether to compute the SHA-256 digest of the
+   * contents, returned as `sha256` (see {@link PuterFileSystem#upload} to store it)
+   * @returns {Promise<object>} Metadata of the written file (uid, name, path, size, ...)
+   * @throws {Error} If the path is invalid
+   * @throws {PuterError} If the file cannot be written
+   * @example
+   * // Write text
+   * await client.fs.write('/Documents/notes.txt', 'Hello, Puter!');
+   *
+   * // Write a Buffer without replacing an existing file
+   * const item = await client.fs.write('/Pictures/photo.png', buffer, { overwrite: false, dedupeName: true });
+   * console.log(item.path);
+   *
+   * // Write a stream
+   * await client.fs.write('/Backups/db.sql', fs.createReadStream('./db.sql'));
+   */
+  async write(target, data, options = {}) {
+    const { overwrite = true, dedupeName = false, createParents = true, contentType, signal, sha256 } = options;
+    // The write operation only takes paths
+    const path = toFileRef(target).path ?? (await this.resolve(target)).path;
+    const { parent, name } = splitPath(path);
+    if (!name) {
+      throw new Error('A file path is required');
+    }
+
+    const blob = await toBlob(data, contentType || getMimeType(name));
+    const digest = sha256 ? await crypto.sha256(blob) : undefined;
+    const response = await this.sendWrite(
+      { path: parent, name, blob, overwrite, dedupeName, createParents },
+      { signal }
+    );
+    const item = response?.results?.[0] ?? response;
+    return digest ? { ...item, sha256: digest } : item;
+  }
+
+  /**
+   * Read the contents of a file
+   * @param {FileTarget} path - The file
+   * @param {object} [options={}] - Read options
+   * @param {string} [options.as='buffer'] - Result format: `buffer`, `text`, `json` or `stream`
+   * @param {number} [options.offset] - Byte offset to start reading from
+   * @param {number} [options.length] - Maximum number of bytes to read
+   * @param {AbortSignal} [options.signal] - Signal to abort the request
+   * @returns {Promise<Buffer|ArrayBuffer|string|*|Stream>} File contents in the requested format
+   * (a `Buffer` in Node, an `ArrayBuffer` in browsers)
+   * @throws {Error} If the path or format is invalid
+   * @throws {PuterError} If the file cannot be read
+   * @example
+   * // Read a file as a Buffer
+   * const data = await client.fs.read('/Documents/photo.png');
+   *
+   * // Read a JSON file
+   * const settings = await client.fs.read('/Documents/settings.json', { as: 'json' });
+   *
+   * // Read the first kilobyte
+   * const head = await client.fs.read('/Documents/log.txt', { as: 'text', length: 1024 });
+   */
+  async read(path, options = {}) {
+    const { as = 'buffer', offset, length, signal } = options;
+
+    if (!path) {
+      throw new Error('Path is required');
+    }
+    if (!READ_FORMATS.includes(as)) {
+      throw new Error(`Unsupported read format: ${as}`);
+    }
+
+    const params = { file: toFileParam(path) };
+    if (offset !== undefined) params.offset = offset;
+    if (length !== undefined) params.byte_count = length;
+
+    const data = await this.client.http.get('/read', {
+      params,
+      responseType: as === 'stream' ? 'stream' : 'arraybuffer',
+      signal
+    });
+
+    switch (as) {
+      case 'stream':
+        return data;
+      case 'text':
+        return decodeText(data);
+      case 'json':
+        return JSON.parse(decodeText(data));
+      default:
+        return toBinary(data);
+    }
+  }
+
+  /**
+   * Read a file as UTF-8 text
+   * @param {FileTarget} path - The file
+   * @param {object} [options={}] - Read options, see {@link PuterFileSystem#read}
+   * @returns {Promise<string>} File contents
+   * @throws {PuterError} If the file cannot be read
+   * @example
+   * const notes = await client.fs.readText('/Documents/notes.txt');
+   */
+  async readText(path, options = {}) {
+    return this.read(path, { ...options, as: 'text' });
   }
 
   /**
-   * Delete a file or directory
-   * @param {string} path - Path to the file/directory to delete
+   * Download a file to the local disk. The file is streamed, so it is never
+   * fully held in memory. Node.js only.
+   * @param {FileTarget} remotePath - The file on Puter
+   * @param {string} localPath - Destination path on the local disk
+   * @param {object} [options={}] - Read options (`offset`, `length`, `signal`), see {@link PuterFileSystem#read}
+   * @param {boolean|string} [options.sha256] - `true` to compute the SHA-256 digest while
+   * streaming, or the expected hex digest to check the download against
+   * @returns {Promise<string|object>} The local path, or `{ path, sha256 }` with `sha256`
+   * @throws {PuterError} If the file cannot be read
+   * @throws {PuterError} With code `INTEGRITY_MISMATCH` if the digest differs from the
+   * expected one (the local file is removed)
+   * @throws {Error} If the local file cannot be written
+   * @example
+   * await client.fs.download('/Documents/report.pdf', './report.pdf');
+   *
+   * // Check the download against a digest kept from the upload
+   * await client.fs.download('/Backups/db.sql', './db.sql', { sha256: upload.sha256 });
+   */
+  async download(remotePath, localPath, options = {}) {
+    const { sha256 } = options;
+    if (!localPath) {
+      throw new Error('Local path is required');
+    }
+
+    const { createWriteStream } = await import('node:fs');
+    const { rm } = await import('node:fs/promises');
+    const { pipeline } = await import('node:stream/promises');
+
+    const stream = await this.read(remotePath, { ...options, as: 'stream' });
+    if (!sha256) {
+      await pipeline(stream, createWriteStream(localPath), { signal: options.signal });
+      return localPath;
+    }
+
+    const hash = await crypto.createSha256();
+    await pipeline(stream, async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    }, createWriteStream(localPath), { signal: options.signal });
+    const digest = await hash.digest();
+
+    if (typeof sha256 === 'string' && digest !== sha256.toLowerCase()) {
+      await rm(localPath, { force: true });
+      throw new PuterError({
+        code: 'INTEGRITY_MISMATCH',
+        message: `SHA-256 mismatch for ${localPath}: expected ${sha256}, got ${digest}`
+      });
+    }
+    return { path: localPath, sha256: digest };
+  }
+
+  /**
+   * Check that a Puter file has the same contents as a local file, by size and
+   * SHA-256 digest. Both files are streamed. Node.js only.
+   * @param {string} localPath - Path of the local file
+   * @param {FileTarget} remotePath - The file on Puter
+   * @param {object} [options={}] - Verify options
+   * @param {boolean} [options.storedHash=false] - Whether to trust a digest stored in the item
+   * metadata (see {@link PuterFileSystem#move}) instead of reading the remote file. The digest is
+   * only used if it was stored with the `size` and `modified` time the file still has, since
+   * overwriting the file does not update it.
+   * @param {AbortSignal} [options.signal] - Signal to abort the remote read
+   * @returns {Promise<object>} `{ match, reason, localSize, remoteSize, localHash, remoteHash }`,
+   * where `reason` is `size` or `checksum` for mismatches (digests are skipped when the sizes differ)
+   * @throws {PuterError} If the remote file cannot be read
+   * @throws {Error} If the local file cannot be read
+   * @example
+   * const report = await client.fs.verify('./backup.tar', '/Backups/backup.tar');
+   * if (!report.match) console.error(`Backup corrupted (${report.reason})`);
+   */
+  async verify(localPath, remotePath, options = {}) {
+    const { storedHash = false, signal } = options;
+    const { stat } = await import('node:fs/promises');
+    const { createReadStream } = await import('node:fs');
+
+    const [local, remote] = await Promise.all([stat(localPath), this.getInfo(remotePath)]);
+    const report = { match: false, reason: null, localSize: local.size, remoteSize: remote.size };
+    if (local.size !== remote.size) {
+      return { ...report, reason: 'size' };
+    }
+
+    const sha256 = storedHash ? storedDigest(remote) : undefined;
+    const [localHash, remoteHash] = await Promise.all([
+      crypto.sha256(createReadStream(localPath)),
+      typeof sha256 === 'string'
+        ? sha256.toLowerCase()
+        : this.read(remotePath, { as: 'stream', signal }).then(stream => crypto.sha256(stream))
+    ]);
+    const match = localHash === remoteHash;
+    return { ...report, match, reason: match ? null : 'checksum', localHash, remoteHash };
+  }
+
+  /**
+   * Permanently delete one or more files or directories
+   * @param {FileTarget|FileTarget[]} paths - The item or items to delete
+   * @param {object} [options={}] - Delete options
+   * @param {boolean} [options.recursive] - Whether to delete non-empty directories with their contents
+   * @param {boolean} [options.descendantsOnly] - Whether to delete only the contents of the
+   * directories, keeping the directories themselves
    * @returns {Promise<object>} Result of the delete operation
-   * @throws {Error} If the file/directory cannot be deleted
+   * @throws {PuterError} If an item cannot be deleted
    * @example
    * // Delete a file
    * const result = await client.fs.delete('/Documents/unwanted-file.txt');
+   *
+   * // Delete several directories with their contents
+   * await client.fs.delete(['/tmp/build', '/tmp/cache'], { recursive: true });
    */
-  async delete(path) {
-    const response = await this.client.http.post('/delete', { path });
+  async delete(paths, options = {}) {
+    const { recursive, descendantsOnly } = options;
+    const list = [].concat(paths);
+    if (list.length === 0 || list.some(path => !path)) {
+      throw new Error('Path is required');
+    }
+
+    // A single path without options keeps the original request body
+    const body = typeof paths === 'string' && recursive === undefined && descendantsOnly === undefined
+      ? { path: paths }
+      : { paths: list.map(toFileParam), recursive, descendants_only: descendantsOnly };
+
+    const response = await this.client.http.post('/delete', body);
     return response;
   }
+
+  /**
+   * Path of the current user's Trash directory
+   * @private
+   */
+  async trashPath() {
+    if (!this.trashDir) {
+      const user = await this.client.auth.getUser();
+      this.trashDir = `/${user.username}/Trash`;
+    }
+    return this.trashDir;
+  }
+
+  /**
+   * Move a file or directory to the user's Trash. The item is renamed to its UID
+   * and remembers where it came from, so that it can be put back with
+   * {@link PuterFileSystem#restore}.
+   * @param {FileTarget} path - The item to trash
+   * @returns {Promise<object>} Metadata of the trashed item
+   * @throws {PuterError} If the item cannot be moved to the Trash
+   * @example
+   * const trashed = await client.fs.trash('/Documents/old-report.pdf');
+   * // Later
+   * await client.fs.restore(trashed.uid);
+   */
+  async trash(path) {
+    if (!path) {
+      throw new Error('Path is required');
+    }
+
+    const [item, trashDir] = await Promise.all([this.getInfo(path), this.trashPath()]);
+    const originalPath = item.path || toFileRef(path).path;
+    return this.move(item.uid ? { uid: item.uid } : originalPath, trashDir, {
+      newName: item.uid,
+      metadata: {
+        ...parseMetadata(item),
+        original_name: item.name,
+        original_path: originalPath,
+        // Seconds since epoch, like the other Puter timestamps
+        trashed_ts: Math.floor(Date.now() / 1000)
+      }
+    });
+  }
+
+  /**
+   * Move a trashed item back to where it was before {@link PuterFileSystem#trash}
+   * @param {string} uid - UID of the trashed item
+   * @param {object} [options={}] - Restore options
+   * @param {boolean} [options.overwrite=false] - Whether to replace an item that took its place
+   * @returns {Promise<object>} Metadata of the restored item
+   * @throws {Error} If the item was not trashed with {@link PuterFileSystem#trash}
+   * @throws {PuterError} If the item cannot be restored
+   * @example
+   * const restored = await client.fs.restore('f1c2-...');
+   * console.log(`Restored to ${restored.path}`);
+   */
+  async restore(uid, options = {}) {
+    const { overwrite = false } = options;
+    if (!uid) {
+      throw new Error('UID is required');
+    }
+
+    const item = await this.client.http.post('/stat', { uid });
+    const metadata = parseMetadata(item);
+    if (!metadata.original_path) {
+      throw new Error('Item is not in the Trash');
+    }
+
+    const { parent, name } = splitPath(metadata.original_path);
+    return this.move({ uid }, parent, {
+      newName: metadata.original_name || name,
+      overwrite,
+      createParents: true,
+      // Keep the metadata the item had before it was trashed
+      metadata: Object.fromEntries(Object.entries(metadata).filter(([key]) => !TRASH_METADATA_KEYS.includes(key)))
+    });
+  }
+
+  /**
+   * Permanently delete everything in the user's Trash
+   * @returns {Promise<object>} Result of the delete operation
+   * @throws {PuterError} If the Trash cannot be emptied
+   * @example
+   * await client.fs.emptyTrash();
+   */
+  async emptyTrash() {
+    const trashDir = await this.trashPath();
+    return this.delete([trashDir], { recursive: true, descendantsOnly: true });
+  }
 }
\ No newline at end of file
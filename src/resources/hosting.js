@@ -1,4 +1,3 @@
-import { PuterError } from '../errors.js';
 import { INTERFACE_SUBDOMAINS } from '../constants.js';
 
 /**
@@ -37,29 +36,17 @@ export class PuterHosting {
       throw new Error('Subdomain and root directory are required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_SUBDOMAINS,
-        method: 'create',
-        args: {
-          object: {
-            subdomain,
-            root_dir: rootDir
-          }
+    return this.client.drivers.call({
+      interface: INTERFACE_SUBDOMAINS,
+      method: 'create',
+      args: {
+        object: {
+          subdomain,
+          root_dir: rootDir
         }
-      });
-          
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to create subdomain');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to create subdomain');
-    }
+      },
+      errorMessage: 'Failed to create subdomain'
+    });
   }
 
   /**
@@ -78,20 +65,14 @@ export class PuterHosting {
    * const activeSubdomains = await client.hosting.list({ active: true });
    */
   async list(args = {}) {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_SUBDOMAINS,
-        method: 'select',
-        args: args
-      });
+    const result = await this.client.drivers.call({
+      interface: INTERFACE_SUBDOMAINS,
+      method: 'select',
+      args,
+      errorMessage: 'Failed to list hosting'
+    });
 
-      return response.result || [];
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to list hosting');
-    }
+    return result || [];
   }
 
   /**
@@ -113,25 +94,13 @@ export class PuterHosting {
       throw new Error('Subdomain ID is required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_SUBDOMAINS,
-        method: 'delete',
-        args: {
-          id: { subdomain: subdomainId }
-        }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to delete subdomain');
-      }
-
-      return response;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to delete subdomain');
-    }
+    return this.client.drivers.callRaw({
+      interface: INTERFACE_SUBDOMAINS,
+      method: 'delete',
+      args: {
+        id: { subdomain: subdomainId }
+      },
+      errorMessage: 'Failed to delete subdomain'
+    });
   }
 }
\ No newline at end of file
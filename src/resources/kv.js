@@ -1,5 +1,105 @@
-import { PuterError } from '../errors.js';
 import { INTERFACE_KVSTORE } from '../constants.js';
+import { ValidationError, ConflictError } from '../errors.js';
+import { codecs } from '../codecs.js';
+import crypto from '../crypto.js';
+
+// Keys sent per multi-key `get` call
+const MGET_CHUNK_SIZE = 100;
+
+// Prefix of cursors for pages cut by the SDK when the driver returns every key at once
+const LOCAL_CURSOR = 'sdk:';
+
+// Marker of values stored with SDK metadata (expiry) around them
+const ENVELOPE = '__puter_sdk_kv__';
+
+// Prefix of the lock keys taken while a versioned value is written, hidden from listings
+const LOCK_PREFIX = '__puter_sdk_lock__:';
+
+// Seconds a client may hold a lock before waiting clients take it over
+const LOCK_TTL = 10;
+
+// Driver error codes meaning a method is not implemented
+const UNSUPPORTED_CODES = ['method_not_found', 'no_implementation_available', 'not_implemented'];
+
+/**
+ * Whether a stored value is an SDK envelope
+ * @private
+ */
+function isEnvelope(raw) {
+  return Boolean(raw && typeof raw === 'object' && raw[ENVELOPE] === 1);
+}
+
+/**
+ * Whether an envelope has expired
+ * @private
+ */
+function isExpired(raw) {
+  return isEnvelope(raw) && raw.expiresAt !== undefined && raw.expiresAt <= Date.now();
+}
+
+/**
+ * Whether a driver error means the method is not supported
+ * @private
+ */
+function isUnsupported(error) {
+  return UNSUPPORTED_CODES.includes(String(error?.code).toLowerCase());
+}
+
+/**
+ * Whether a listed key is one of the SDK's lock keys
+ * @private
+ */
+function isLockKey(key) {
+  return typeof key === 'string' && key.startsWith(LOCK_PREFIX);
+}
+
+/**
+ * Check a key the way the single-key methods do
+ * @private
+ */
+function checkKey(key) {
+  if (!key || typeof key !== 'string') {
+    throw new Error('Invalid key');
+  }
+  if (key.length > 1024) {
+    throw new Error('Key too large');
+  }
+}
+
+/**
+ * Key/value pairs from an object, a Map or an array of pairs
+ * @private
+ */
+function toEntries(entries) {
+  return entries instanceof Map || Array.isArray(entries) ? [...entries] : Object.entries(entries || {});
+}
+
+/**
+ * Check a namespace name
+ * @private
+ */
+function checkNamespace(name) {
+  if (!name || typeof name !== 'string' || name.includes('*')) {
+    throw new Error('Invalid namespace');
+  }
+}
+
+/**
+ * Map items with at most `concurrency` tasks in flight, keeping input order
+ * @private
+ */
+async function mapConcurrent(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
 
 /**
  * PuterKV class for key-value storage operations
@@ -19,8 +119,10 @@ export class PuterKV {
    * Set a value for a key
    * @param {string} key - The key to set (max 1024 characters)
    * @param {*} value - The value to store (can be any JSON-serializable value)
+   * @param {object} [options={}] - Set options
+   * @param {number} [options.ttl] - Seconds after which the key expires, see {@link PuterKV#expire}
    * @returns {Promise<boolean>} True if successful
-   * @throws {Error} If key is invalid or too large
+   * @throws {Error} If key is invalid or too large, or the TTL is not positive
    * @throws {PuterError} If the server returns an error
    * @example
    * // Store a string
@@ -28,36 +130,48 @@ export class PuterKV {
    * 
    * // Store an object
    * await client.kv.set('user', { name: 'John', age: 30 });
+   *
+   * // Store a session for an hour
+   * await client.kv.set('session:42', session, { ttl: 3600 });
    */
-  async set(key, value) {
+  async set(key, value, options = {}) {
+    const { ttl } = options;
     if (!key || typeof key !== 'string') {
       throw new Error('Invalid key');
     }
     if (key.length > 1024) {
       throw new Error('Key too large');
     }
+    if (ttl !== undefined && !(ttl > 0)) {
+      throw new Error('TTL must be a positive number of seconds');
+    }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'set',
-        args: {
-          key,
-          value
-        }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to set value');
-      }
-
+    if (ttl === undefined) {
+      await this.setRaw(key, value);
       return true;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
+    }
+    // The value is only wrapped with its expiry time when the driver cannot expire keys
+    if (this.nativeExpiry !== false) {
+      await this.setRaw(key, value);
+      if (await this.nativeExpire('expire', { key, ttl })) {
+        return true;
       }
-      throw new Error(error.message || 'Failed to set value');
     }
+    await this.setRaw(key, { [ENVELOPE]: 1, value, expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  /**
+   * Store a value as is
+   * @private
+   */
+  async setRaw(key, value) {
+    await this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'set',
+      args: { key, value },
+      errorMessage: 'Failed to set value'
+    });
   }
 
   /**
@@ -79,24 +193,30 @@ export class PuterKV {
       throw new Error('Invalid key');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'get',
-        args: { key }
-      });
+    return this.unwrap(await this.getRaw(key));
+  }
 
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to get value');
-      }
+  /**
+   * Read a value as stored, with its envelope if any
+   * @private
+   */
+  async getRaw(key) {
+    return this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'get',
+      args: { key },
+      errorMessage: 'Failed to get value'
+    });
+  }
 
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to get value');
-    }
+  /**
+   * Value of a stored entry, or null once it has expired (the server may
+   * not have removed it yet)
+   * @private
+   */
+  unwrap(raw) {
+    if (!isEnvelope(raw)) return raw;
+    return isExpired(raw) ? null : raw.value;
   }
 
   /**
@@ -114,24 +234,13 @@ export class PuterKV {
       throw new Error('Invalid key');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'del',
-        args: { key }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to delete key');
-      }
-
-      return true;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to delete key');
-    }
+    await this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'del',
+      args: { key },
+      errorMessage: 'Failed to delete key'
+    });
+    return true;
   }
 
   /**
@@ -153,24 +262,12 @@ export class PuterKV {
       throw new Error('Invalid key');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'incr',
-        args: { key, amount }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to increment value');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to increment value');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'incr',
+      args: { key, amount },
+      errorMessage: 'Failed to increment value'
+    });
   }
 
   /**
@@ -192,24 +289,12 @@ export class PuterKV {
       throw new Error('Invalid key');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'decr',
-        args: { key, amount }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to decrement value');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to decrement value');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'decr',
+      args: { key, amount },
+      errorMessage: 'Failed to decrement value'
+    });
   }
 
   /**
@@ -221,23 +306,12 @@ export class PuterKV {
    * await client.kv.flush();
    */
   async flush() {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_KVSTORE,
-        method: 'flush'
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to flush storage');
-      }
-
-      return true;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to flush storage');
-    }
+    await this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'flush',
+      errorMessage: 'Failed to flush storage'
+    });
+    return true;
   }
 
   /**
@@ -256,23 +330,848 @@ export class PuterKV {
    * const sessionKeys = await client.kv.list('session:*:active');
    */
   async list(pattern = '*') {
-    try {
-      const response = await this.client.http.post('/drivers/call', {
+    const keys = await this.client.drivers.call({
+      interface: INTERFACE_KVSTORE,
+      method: 'list',
+      args: { pattern },
+      errorMessage: 'Failed to list keys'
+    });
+    return Array.isArray(keys) ? keys.filter(key => !isLockKey(key)) : keys;
+  }
+
+  /**
+   * List keys page by page, optionally with their values. Uses the driver's
+   * pagination when it has one; otherwise the full listing of keys is fetched
+   * and cut into pages by the SDK, and only the values of each page are read.
+   * Expired values are skipped.
+   * @param {object} [options={}] - Scan options
+   * @param {string} [options.pattern='*'] - Pattern to match keys (supports * wildcard)
+   * @param {number} [options.limit=100] - Maximum entries per page
+   * @param {string} [options.cursor] - Cursor of the page to fetch, from the previous page
+   * @param {boolean} [options.returnValues=false] - Whether to return `{ key, value }` entries
+   * instead of keys
+   * @returns {Promise<object>} `{ items, cursor }`, where `cursor` is null on the last page
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * let cursor;
+   * do {
+   *   const page = await client.kv.scan({ pattern: 'user:*', returnValues: true, cursor });
+   *   page.items.forEach(({ key, value }) => console.log(key, value));
+   *   cursor = page.cursor;
+   * } while (cursor);
+   */
+  async scan(options = {}) {
+    return this.scanPage(options, {});
+  }
+
+  /**
+   * Fetch a page for {@link PuterKV#scan}. A full listing returned by the
+   * driver is kept in `listing`, so that iterating does not fetch it per page.
+   * @private
+   */
+  async scanPage(options, listing) {
+    const { pattern = '*', limit = 100, cursor, returnValues = false } = options;
+    if (!(limit > 0)) {
+      throw new Error('Limit must be a positive number');
+    }
+
+    const localOffset = typeof cursor === 'string' && cursor.startsWith(LOCAL_CURSOR)
+      ? Number(cursor.slice(LOCAL_CURSOR.length))
+      : null;
+    const response = localOffset !== null && listing.entries
+      ? listing.entries
+      : await this.client.drivers.call({
         interface: INTERFACE_KVSTORE,
         method: 'list',
-        args: { pattern }
+        args: {
+          pattern,
+          // Drivers without pagination would return every value at once
+          return_values: (returnValues && this.driverPaging !== false) || undefined,
+          limit,
+          cursor: localOffset === null ? cursor : undefined
+        },
+        errorMessage: 'Failed to list keys'
       });
 
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to list keys');
+    let entries;
+    let next;
+    if (Array.isArray(response)) {
+      this.driverPaging = false;
+      listing.entries = response;
+      const offset = localOffset ?? 0;
+      entries = response.slice(offset, offset + limit);
+      next = offset + limit < response.length ? `${LOCAL_CURSOR}${offset + limit}` : null;
+    } else {
+      entries = response?.items || [];
+      next = response?.cursor || null;
+    }
+
+    return { items: await this.toScanItems(entries, returnValues), cursor: next };
+  }
+
+  /**
+   * Iterate over all keys matching a pattern, fetching pages as needed
+   * @param {object} [options={}] - Scan options (`pattern`, `limit`, `returnValues`), see {@link PuterKV#scan}
+   * @yields {string|object} Keys, or `{ key, value }` entries with `returnValues`
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * for await (const { key, value } of client.kv.scanIterator({ pattern: 'user:*', returnValues: true })) {
+   *   console.log(key, value);
+   * }
+   */
+  async *scanIterator(options = {}) {
+    const listing = {};
+    let cursor = options.cursor;
+    do {
+      const page = await this.scanPage({ ...options, cursor }, listing);
+      yield* page.items;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Normalise listed entries to keys or `{ key, value }` objects. Values the
+   * driver did not return are read with {@link PuterKV#mget}, and keys that
+   * were deleted or expired since the listing are skipped.
+   * @private
+   */
+  async toScanItems(listed, returnValues) {
+    const entries = listed.filter(entry => !isLockKey(typeof entry === 'string' ? entry : entry?.key));
+    if (!returnValues) {
+      return entries.map(entry => (typeof entry === 'string' ? entry : entry?.key));
+    }
+
+    const missing = entries.filter(entry => typeof entry === 'string');
+    const fetched = new Map();
+    for (const { key, value, error } of await this.mget(missing)) {
+      if (error) throw error;
+      fetched.set(key, value);
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      if (typeof entry === 'string') {
+        const value = fetched.get(entry);
+        if (value !== null && value !== undefined) items.push({ key: entry, value });
+      } else if (!isExpired(entry?.value)) {
+        items.push({ key: entry?.key, value: this.unwrap(entry?.value) ?? null });
       }
+    }
+    return items;
+  }
+
+  /**
+   * Get several values. Keys are fetched with multi-key `get` calls of up to
+   * 100 keys; if the driver does not accept them, with parallel single calls.
+   * @param {Array<string>} keys - The keys to retrieve
+   * @param {object} [options={}] - Options
+   * @param {number} [options.concurrency=8] - Maximum single calls in flight when falling back
+   * @returns {Promise<Array<object>>} One `{ key, value, error }` entry per key, in input order;
+   * `value` is null for missing keys and `error` is set when that key failed
+   * @throws {Error} If a key is invalid
+   * @throws {PuterError} If a multi-key call fails
+   * @example
+   * const entries = await client.kv.mget(['config:theme', 'config:lang']);
+   * const config = Object.fromEntries(entries.map(({ key, value }) => [key, value]));
+   */
+  async mget(keys, options = {}) {
+    const { concurrency = 8 } = options;
+    const list = [...keys];
+    list.forEach(checkKey);
+    if (list.length === 0) {
+      return [];
+    }
+
+    // Whether the driver accepts arrays of keys is learned on the first call
+    if (this.multiGet !== false) {
+      const results = await this.multiGetChunks(list);
+      if (results) {
+        return results;
+      }
+    }
+
+    return mapConcurrent(list, concurrency, async key => {
+      try {
+        return { key, value: await this.get(key) };
+      } catch (error) {
+        return { key, value: null, error };
+      }
+    });
+  }
+
+  /**
+   * Fetch keys with multi-key `get` calls, or return null if the driver
+   * does not support them
+   * @private
+   */
+  async multiGetChunks(keys) {
+    const results = [];
+    for (let i = 0; i < keys.length; i += MGET_CHUNK_SIZE) {
+      const chunk = keys.slice(i, i + MGET_CHUNK_SIZE);
+      let values;
+      try {
+        values = await this.client.drivers.call({
+          interface: INTERFACE_KVSTORE,
+          method: 'get',
+          args: { key: chunk },
+          errorMessage: 'Failed to get values'
+        });
+      } catch (error) {
+        // Drivers without multi-key gets reject the array, or the call itself
+        if (this.multiGet || !(error instanceof ValidationError || isUnsupported(error))) throw error;
+      }
+
+      if (!Array.isArray(values) || values.length !== chunk.length) {
+        if (this.multiGet) {
+          throw new Error('Unexpected response to a multi-key get');
+        }
+        this.multiGet = false;
+        return null;
+      }
+      this.multiGet = true;
+      chunk.forEach((key, index) => results.push({ key, value: this.unwrap(values[index]) ?? null }));
+    }
+    return results;
+  }
+
+  /**
+   * Set several values with parallel calls. Unlike `get`, the kvstore driver
+   * has no multi-key `set`, so each key takes its own request.
+   * @param {object|Map|Array<Array>} entries - Key/value pairs, as an object, a Map or `[key, value]` pairs
+   * @param {object} [options={}] - Options
+   * @param {number} [options.concurrency=8] - Maximum calls in flight
+   * @returns {Promise<Array<object>>} One `{ key, success, error }` entry per key, in input order
+   * @throws {Error} If a key is invalid
+   * @example
+   * const results = await client.kv.mset({ 'config:theme': 'dark', 'config:lang': 'en' });
+   * const failed = results.filter(result => !result.success);
+   */
+  async mset(entries, options = {}) {
+    const { concurrency = 8 } = options;
+    const list = toEntries(entries);
+    list.forEach(([key]) => checkKey(key));
+
+    return mapConcurrent(list, concurrency, async ([key, value]) => {
+      try {
+        await this.set(key, value);
+        return { key, success: true };
+      } catch (error) {
+        return { key, success: false, error };
+      }
+    });
+  }
+
+  /**
+   * Delete several keys with parallel calls. The kvstore driver has no
+   * multi-key `del`, so each key takes its own request.
+   * @param {Array<string>} keys - The keys to delete
+   * @param {object} [options={}] - Options
+   * @param {number} [options.concurrency=8] - Maximum calls in flight
+   * @returns {Promise<Array<object>>} One `{ key, success, error }` entry per key, in input order
+   * @throws {Error} If a key is invalid
+   * @example
+   * await client.kv.mdel(['session:1', 'session:2']);
+   */
+  async mdel(keys, options = {}) {
+    const { concurrency = 8 } = options;
+    const list = [...keys];
+    list.forEach(checkKey);
+
+    return mapConcurrent(list, concurrency, async key => {
+      try {
+        await this.del(key);
+        return { key, success: true };
+      } catch (error) {
+        return { key, success: false, error };
+      }
+    });
+  }
+
+  /**
+   * Make a key expire after a number of seconds. The expiry is enforced by the
+   * kvstore driver when it supports it. Otherwise the SDK stores the expiry
+   * time around the value and expired keys read as null; such keys do not work
+   * with `incr` and `decr`, and a write by another client between the read and
+   * the rewrite of the value is lost.
+   * @param {string} key - The key
+   * @param {number} seconds - Seconds until the key expires
+   * @returns {Promise<boolean>} True if the key exists, false otherwise
+   * @throws {Error} If key is invalid or the TTL is not positive
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * await client.kv.expire('cache:home', 300);
+   */
+  async expire(key, seconds) {
+    if (!(seconds > 0)) {
+      throw new Error('TTL must be a positive number of seconds');
+    }
+    return this.applyExpiry(key, Date.now() + seconds * 1000, 'expire', { key, ttl: seconds });
+  }
+
+  /**
+   * Make a key expire at a given time, see {@link PuterKV#expire}
+   * @param {string} key - The key
+   * @param {Date|number} date - Expiry time, as a Date or milliseconds since epoch
+   * @returns {Promise<boolean>} True if the key exists, false otherwise
+   * @throws {Error} If key or date is invalid
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * await client.kv.expireAt('promo:summer', new Date('2025-09-01'));
+   */
+  async expireAt(key, date) {
+    const expiresAt = date instanceof Date ? date.getTime() : date;
+    if (!Number.isFinite(expiresAt)) {
+      throw new Error('Invalid expiry date');
+    }
+    return this.applyExpiry(key, expiresAt, 'expireAt', { key, timestamp: Math.floor(expiresAt / 1000) });
+  }
+
+  /**
+   * Seconds until a key expires, from the driver's `ttl` method when the
+   * expiry is enforced by the driver
+   * @param {string} key - The key
+   * @returns {Promise<number>} Remaining seconds, -1 if the key does not expire, -2 if it does not exist
+   * @throws {Error} If key is invalid
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * const remaining = await client.kv.ttl('session:42');
+   */
+  async ttl(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Invalid key');
+    }
+
+    const raw = await this.getRaw(key);
+    if (raw === null || raw === undefined || isExpired(raw)) return -2;
+    if (isEnvelope(raw) && raw.expiresAt !== undefined) {
+      return Math.ceil((raw.expiresAt - Date.now()) / 1000);
+    }
+
+    return this.nativeTtl(key);
+  }
+
+  /**
+   * Seconds until the driver expires a key, or -1 if it does not expire or the
+   * driver cannot tell
+   * @private
+   */
+  async nativeTtl(key) {
+    if (this.nativeExpiry === false) return -1;
+    const native = await this.optionalCall('nativeTtlSupported', 'ttl', { key }, 'Failed to get TTL');
+    return typeof native?.result === 'number' ? native.result : -1;
+  }
+
+  /**
+   * Ask the driver to expire an existing key, or store the expiry time with
+   * the value when the driver cannot
+   * @private
+   */
+  async applyExpiry(key, expiresAt, method, args) {
+    checkKey(key);
+    const raw = await this.getRaw(key);
+    if (raw === null || raw === undefined || isExpired(raw)) {
+      return false;
+    }
+    if (await this.nativeExpire(method, args)) {
+      return true;
+    }
+
+    const envelope = isEnvelope(raw) ? raw : { [ENVELOPE]: 1, value: raw };
+    await this.setRaw(key, { ...envelope, expiresAt });
+    return true;
+  }
 
-      return response.result;
+  /**
+   * Call a driver expiry method
+   * @returns {Promise<boolean>} False if the driver cannot expire keys
+   * @private
+   */
+  async nativeExpire(method, args) {
+    return Boolean(await this.optionalCall('nativeExpiry', method, args, 'Failed to set expiry'));
+  }
+
+  /**
+   * Call a driver method that may not be implemented, remembering in the
+   * `flag` property whether it is
+   * @returns {Promise<object|null>} `{ result }`, or null if the driver lacks the method
+   * @private
+   */
+  async optionalCall(flag, method, args, errorMessage) {
+    if (this[flag] === false) return null;
+    try {
+      const result = await this.client.drivers.call({
+        interface: INTERFACE_KVSTORE,
+        method,
+        args,
+        errorMessage
+      });
+      this[flag] = true;
+      return { result };
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
+      if (this[flag] || !isUnsupported(error)) throw error;
+      this[flag] = false;
+      return null;
+    }
+  }
+
+  /**
+   * Get a value with its version, for {@link PuterKV#cas}. Keys that are
+   * missing or were never written with `cas` or `update` have version 0.
+   * @param {string} key - The key
+   * @returns {Promise<object>} `{ value, version }`, with a null value for missing keys
+   * @throws {Error} If key is invalid
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * const { value, version } = await client.kv.getVersioned('cart:42');
+   */
+  async getVersioned(key) {
+    checkKey(key);
+    const raw = await this.getRaw(key);
+    if (raw === null || raw === undefined || isExpired(raw)) {
+      return { value: null, version: 0 };
+    }
+    return isEnvelope(raw)
+      ? { value: raw.value ?? null, version: raw.version ?? 0 }
+      : { value: raw, version: 0 };
+  }
+
+  /**
+   * Compare-and-set: store `next` only if the key is still at `expectedVersion`.
+   * The write is serialised with a lock taken with `incr`, so of several
+   * clients writing the same version only one succeeds; a lock left behind by
+   * a crashed client is taken over after 10 seconds. Writes with `set` bypass
+   * the check and reset the version. The expiry of the key is kept: a native
+   * one is read with the driver's `ttl` method and set again after the write.
+   *
+   * A successful call takes 8 requests, 9 for expiring keys (taking the lock,
+   * reading the value and its expiry, writing, restoring the expiry and
+   * releasing the lock), so prefer `set` or `incr` for values without
+   * concurrent writers.
+   * @param {string} key - The key
+   * @param {number} expectedVersion - Version returned by {@link PuterKV#getVersioned}
+   * @param {*} next - The new value
+   * @returns {Promise<boolean>} True if the value was written, false if the key changed
+   * or is being written by another client
+   * @throws {Error} If key is invalid
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * const { value, version } = await client.kv.getVersioned('stock');
+   * if (!(await client.kv.cas('stock', version, value - 1))) {
+   *   // Someone else changed it: read again
+   * }
+   */
+  async cas(key, expectedVersion, next) {
+    checkKey(key);
+    const lock = await this.acquireLock(key);
+    if (!lock) {
+      return false;
+    }
+
+    try {
+      const raw = await this.getRaw(key);
+      const live = raw !== null && raw !== undefined && !isExpired(raw);
+      const version = live && isEnvelope(raw) ? raw.version ?? 0 : 0;
+      if (version !== expectedVersion) {
+        return false;
+      }
+
+      const envelope = live && isEnvelope(raw) ? raw : { [ENVELOPE]: 1 };
+      // Writing the key drops a native expiry, unlike one stored in the envelope
+      const remaining = live && envelope.expiresAt === undefined ? await this.nativeTtl(key) : -1;
+      await this.setRaw(key, { ...envelope, value: next, version: version + 1 });
+      if (remaining > 0) {
+        await this.nativeExpire('expire', { key, ttl: remaining });
+      }
+      return true;
+    } finally {
+      await this.releaseLock(lock);
+    }
+  }
+
+  /**
+   * Take the write lock of a key. The lock is a counter incremented by every
+   * client trying to take it (the one reading 1 holds it) and a record of its
+   * owner and deadline. Once the deadline has passed, the first waiting client
+   * to count the stale owner takes the lock over, so that a lock which was
+   * never released does not block the key for good.
+   * @returns {Promise<object|null>} The lock, or null if another client holds it
+   * @private
+   */
+  async acquireLock(key) {
+    const lock = {
+      counterKey: `${LOCK_PREFIX}n:${key}`,
+      ownerKey: `${LOCK_PREFIX}owner:${key}`,
+      owner: crypto.randomUUID()
+    };
+    const deadline = Date.now() + LOCK_TTL * 1000;
+
+    if (await this.incr(lock.counterKey) === 1) {
+      await this.setRaw(lock.ownerKey, { owner: lock.owner, deadline });
+      return lock;
+    }
+
+    const holder = await this.getRaw(lock.ownerKey);
+    if (!holder) {
+      // The holder has not recorded itself yet, or crashed before it could: give it until the deadline
+      await this.setRaw(lock.ownerKey, { owner: crypto.randomUUID(), deadline, pending: true });
+      return null;
+    }
+    if (holder.deadline > Date.now()) {
+      return null;
+    }
+
+    lock.takeoverKey = `${LOCK_PREFIX}takeover:${holder.owner}`;
+    if (await this.incr(lock.takeoverKey) !== 1) {
+      return null;
+    }
+    await this.setRaw(lock.ownerKey, { owner: lock.owner, deadline });
+    return lock;
+  }
+
+  /**
+   * Release a lock taken with {@link PuterKV#acquireLock}, unless it was taken
+   * over. A lock that cannot be released is taken over after its deadline.
+   * @private
+   */
+  async releaseLock(lock) {
+    try {
+      const holder = await this.getRaw(lock.ownerKey);
+      // A pending record was written by a client that saw this lock before it was recorded
+      if (holder && holder.owner !== lock.owner && !holder.pending) {
+        return;
+      }
+      await this.del(lock.counterKey);
+      await this.del(lock.ownerKey);
+      if (lock.takeoverKey) {
+        await this.del(lock.takeoverKey);
       }
-      throw new Error(error.message || 'Failed to list keys');
+    } catch {
+      // Left for the next client to take over
     }
   }
+
+  /**
+   * Update a value with a function of the current value, retrying with
+   * {@link PuterKV#cas} when another client changed it in between
+   * @param {string} key - The key
+   * @param {function(*): *|Promise<*>} fn - Returns the new value from the current one
+   * (null for missing keys); may be called several times
+   * @param {object} [options={}] - Update options
+   * @param {number} [options.retries=5] - Attempts after the first one
+   * @returns {Promise<*>} The stored value
+   * @throws {ConflictError} With code `CAS_CONFLICT` if every attempt conflicted
+   * @throws {PuterError} If the server returns an error
+   * @example
+   * const cart = await client.kv.update('cart:42', cart => ({
+   *   ...cart,
+   *   items: [...(cart?.items || []), 'book']
+   * }));
+   */
+  async update(key, fn, options = {}) {
+    const { retries = 5 } = options;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        // Jittered backoff so that competing clients spread out
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 25 * 2 ** attempt));
+      }
+      const { value, version } = await this.getVersioned(key);
+      const next = await fn(value);
+      if (await this.cas(key, version, next)) {
+        return next;
+      }
+    }
+
+    throw new ConflictError({
+      code: 'CAS_CONFLICT',
+      message: `Could not update ${key} after ${retries + 1} attempts`
+    });
+  }
+
+  /**
+   * Get a store scoped to a namespace: its keys are stored as `<name>:<key>`,
+   * and its `list` and `clear` only see keys under that prefix
+   * @param {string} name - Namespace name (without `*`)
+   * @param {object} [options={}] - Namespace options
+   * @param {Codec} [options.codec=codecs.json] - Codec converting values, see {@link codecs}
+   * @returns {KVNamespace} The scoped store
+   * @throws {Error} If the name is invalid
+   * @example
+   * const sessions = client.kv.namespace('sessions', { codec: codecs.date });
+   * await sessions.set('42', { user: 'alice', expires: new Date() }, { ttl: 3600 });
+   * const keys = await sessions.list(); // ['42']
+   * await sessions.clear();
+   */
+  namespace(name, options = {}) {
+    checkNamespace(name);
+    return new KVNamespace(this, `${name}:`, options.codec || codecs.json);
+  }
+}
+
+/**
+ * Key/value store scoped to a key prefix, created with {@link PuterKV#namespace}.
+ * Methods take and return keys without the prefix, and values go through the
+ * namespace codec.
+ * @class
+ */
+export class KVNamespace {
+  /**
+   * Creates an instance of KVNamespace
+   * @param {PuterKV} kv - The key/value store
+   * @param {string} prefix - Prefix of the keys, including the trailing `:`
+   * @param {Codec} codec - Codec converting values
+   */
+  constructor(kv, prefix, codec) {
+    this.kv = kv;
+    this.prefix = prefix;
+    this.codec = codec;
+  }
+
+  /**
+   * Full key of a namespaced key
+   * @private
+   */
+  key(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Invalid key');
+    }
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Set a value, see {@link PuterKV#set}
+   * @param {string} key - The key
+   * @param {*} value - The value, encoded with the namespace codec
+   * @param {object} [options] - Set options (`ttl`)
+   * @returns {Promise<boolean>} True if successful
+   */
+  async set(key, value, options) {
+    return this.kv.set(this.key(key), this.codec.encode(value), options);
+  }
+
+  /**
+   * Get a value, see {@link PuterKV#get}
+   * @param {string} key - The key
+   * @returns {Promise<*>} The decoded value, or null if the key doesn't exist
+   */
+  async get(key) {
+    const value = await this.kv.get(this.key(key));
+    return value === null || value === undefined ? value : this.codec.decode(value);
+  }
+
+  /**
+   * Delete a key, see {@link PuterKV#del}
+   * @param {string} key - The key
+   * @returns {Promise<boolean>} True if successful
+   */
+  async del(key) {
+    return this.kv.del(this.key(key));
+  }
+
+  /**
+   * Get several values, see {@link PuterKV#mget}
+   * @param {Array<string>} keys - The keys
+   * @param {object} [options] - Options (`concurrency`)
+   * @returns {Promise<Array<object>>} `{ key, value, error }` entries, in input order
+   */
+  async mget(keys, options) {
+    const list = [...keys];
+    const results = await this.kv.mget(list.map(key => this.key(key)), options);
+    return results.map((result, index) => ({
+      ...result,
+      key: list[index],
+      value: result.value === null || result.value === undefined ? result.value : this.codec.decode(result.value)
+    }));
+  }
+
+  /**
+   * Set several values, see {@link PuterKV#mset}
+   * @param {object|Map|Array<Array>} entries - Key/value pairs
+   * @param {object} [options] - Options (`concurrency`)
+   * @returns {Promise<Array<object>>} `{ key, success, error }` entries, in input order
+   */
+  async mset(entries, options) {
+    const list = toEntries(entries);
+    const results = await this.kv.mset(list.map(([key, value]) => [this.key(key), this.codec.encode(value)]), options);
+    return results.map((result, index) => ({ ...result, key: list[index][0] }));
+  }
+
+  /**
+   * Delete several keys, see {@link PuterKV#mdel}
+   * @param {Array<string>} keys - The keys
+   * @param {object} [options] - Options (`concurrency`)
+   * @returns {Promise<Array<object>>} `{ key, success, error }` entries, in input order
+   */
+  async mdel(keys, options) {
+    const list = [...keys];
+    const results = await this.kv.mdel(list.map(key => this.key(key)), options);
+    return results.map((result, index) => ({ ...result, key: list[index] }));
+  }
+
+  /**
+   * Increment a numeric value, see {@link PuterKV#incr}
+   * @param {string} key - The key
+   * @param {number} [amount=1] - Amount to increment by
+   * @returns {Promise<number>} The new value
+   */
+  async incr(key, amount) {
+    return this.kv.incr(this.key(key), amount);
+  }
+
+  /**
+   * Decrement a numeric value, see {@link PuterKV#decr}
+   * @param {string} key - The key
+   * @param {number} [amount=1] - Amount to decrement by
+   * @returns {Promise<number>} The new value
+   */
+  async decr(key, amount) {
+    return this.kv.decr(this.key(key), amount);
+  }
+
+  /**
+   * Make a key expire, see {@link PuterKV#expire}
+   * @param {string} key - The key
+   * @param {number} seconds - Seconds until the key expires
+   * @returns {Promise<boolean>} True if the key exists
+   */
+  async expire(key, seconds) {
+    return this.kv.expire(this.key(key), seconds);
+  }
+
+  /**
+   * Make a key expire at a given time, see {@link PuterKV#expireAt}
+   * @param {string} key - The key
+   * @param {Date|number} date - Expiry time
+   * @returns {Promise<boolean>} True if the key exists
+   */
+  async expireAt(key, date) {
+    return this.kv.expireAt(this.key(key), date);
+  }
+
+  /**
+   * Seconds until a key expires, see {@link PuterKV#ttl}
+   * @param {string} key - The key
+   * @returns {Promise<number>} Remaining seconds, -1 without expiry, -2 if missing
+   */
+  async ttl(key) {
+    return this.kv.ttl(this.key(key));
+  }
+
+  /**
+   * Get a value with its version, see {@link PuterKV#getVersioned}
+   * @param {string} key - The key
+   * @returns {Promise<object>} `{ value, version }` with the decoded value
+   */
+  async getVersioned(key) {
+    const { value, version } = await this.kv.getVersioned(this.key(key));
+    return { value: value === null ? null : this.codec.decode(value), version };
+  }
+
+  /**
+   * Compare-and-set, see {@link PuterKV#cas}
+   * @param {string} key - The key
+   * @param {number} expectedVersion - Version returned by `getVersioned`
+   * @param {*} next - The new value, encoded with the namespace codec
+   * @returns {Promise<boolean>} True if the value was written
+   */
+  async cas(key, expectedVersion, next) {
+    return this.kv.cas(this.key(key), expectedVersion, this.codec.encode(next));
+  }
+
+  /**
+   * Update a value with retries on conflicts, see {@link PuterKV#update}
+   * @param {string} key - The key
+   * @param {function(*): *|Promise<*>} fn - Returns the new value from the decoded current one
+   * @param {object} [options] - Update options (`retries`)
+   * @returns {Promise<*>} The stored value
+   */
+  async update(key, fn, options) {
+    const fullKey = this.key(key);
+    let result;
+    await this.kv.update(fullKey, async value => {
+      result = await fn(value === null ? null : this.codec.decode(value));
+      return this.codec.encode(result);
+    }, options);
+    return result;
+  }
+
+  /**
+   * List the keys of the namespace
+   * @param {string} [pattern='*'] - Pattern to match keys, relative to the namespace
+   * @returns {Promise<Array<string>>} Matching keys, without the prefix
+   */
+  async list(pattern = '*') {
+    const keys = await this.kv.list(`${this.prefix}${pattern}`);
+    return (keys || [])
+      .filter(key => typeof key === 'string' && key.startsWith(this.prefix))
+      .map(key => key.slice(this.prefix.length));
+  }
+
+  /**
+   * List keys of the namespace page by page, see {@link PuterKV#scan}
+   * @param {object} [options={}] - Scan options, with `pattern` relative to the namespace
+   * @returns {Promise<object>} `{ items, cursor }` with keys without the prefix and decoded values
+   */
+  async scan(options = {}) {
+    return this.scanPage(options, {});
+  }
+
+  /**
+   * Fetch a page for {@link KVNamespace#scan}, see {@link PuterKV#scanPage}
+   * @private
+   */
+  async scanPage(options, listing) {
+    const { pattern = '*', returnValues = false } = options;
+    const page = await this.kv.scanPage({ ...options, pattern: `${this.prefix}${pattern}` }, listing);
+    return {
+      cursor: page.cursor,
+      items: page.items.map(item => returnValues
+        ? {
+          key: item.key.slice(this.prefix.length),
+          value: item.value === null ? null : this.codec.decode(item.value)
+        }
+        : item.slice(this.prefix.length))
+    };
+  }
+
+  /**
+   * Iterate over the keys of the namespace, see {@link PuterKV#scanIterator}
+   * @param {object} [options={}] - Scan options, with `pattern` relative to the namespace
+   * @yields {string|object} Keys, or `{ key, value }` entries with `returnValues`
+   */
+  async *scanIterator(options = {}) {
+    const listing = {};
+    let cursor = options.cursor;
+    do {
+      const page = await this.scanPage({ ...options, cursor }, listing);
+      yield* page.items;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Delete every key of the namespace, leaving other keys untouched
+   * @returns {Promise<number>} Number of deleted keys
+   * @throws {PuterError} The first error if some keys could not be deleted
+   */
+  async clear() {
+    const results = await this.mdel(await this.list());
+    const failure = results.find(result => !result.success);
+    if (failure) {
+      throw failure.error;
+    }
+    return results.length;
+  }
+
+  /**
+   * Get a namespace nested in this one (`<name>:<sub>:<key>`)
+   * @param {string} name - Namespace name (without `*`)
+   * @param {object} [options={}] - Namespace options
+   * @param {Codec} [options.codec] - Codec (defaults to this namespace's codec)
+   * @returns {KVNamespace} The nested store
+   */
+  namespace(name, options = {}) {
+    checkNamespace(name);
+    return new KVNamespace(this.kv, `${this.prefix}${name}:`, options.codec || this.codec);
+  }
 }
\ No newline at end of file
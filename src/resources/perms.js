@@ -0,0 +1,176 @@
+import { toFileRef } from '../file-utils.js';
+
+const ACCESS_LEVELS = ['read', 'write'];
+
+/**
+ * Check an access level
+ * @private
+ */
+function checkAccess(access) {
+  if (!ACCESS_LEVELS.includes(access)) {
+    throw new Error(`Invalid access level: ${access}`);
+  }
+}
+
+/**
+ * PuterPermissions class for sharing files and directories with other users
+ * @class
+ */
+export class PuterPermissions {
+  /**
+   * Creates an instance of PuterPermissions
+   * @param {object} client - The Puter client instance
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * UID of a file target, looked up when only the path is known
+   * @private
+   */
+  async uidOf(target) {
+    const ref = toFileRef(target);
+    return ref.uid ?? (await this.client.fs.resolve(ref)).uid;
+  }
+
+  /**
+   * Share files or directories with users. Recipients are notified by Puter,
+   * and email addresses of people without an account receive an invitation.
+   * @param {FileTarget|FileTarget[]} items - The items to share
+   * @param {string|string[]} recipients - Usernames or email addresses
+   * @param {object} [options={}] - Share options
+   * @param {string} [options.access='read'] - `read` or `write`
+   * @returns {Promise<object>} Share status, with one entry per recipient and per item
+   * @throws {Error} If items or recipients are missing, or the access level is invalid
+   * @throws {PuterError} If the items cannot be shared
+   * @example
+   * await client.perms.share('/Documents/report.pdf', ['alice', 'bob@example.com'], { access: 'write' });
+   */
+  async share(items, recipients, options = {}) {
+    const { access = 'read' } = options;
+    const targets = [].concat(items || []);
+    const users = [].concat(recipients || []);
+    if (targets.length === 0 || users.length === 0) {
+      throw new Error('Items and recipients are required');
+    }
+    checkAccess(access);
+
+    const shares = await Promise.all(targets.map(async target => {
+      const ref = toFileRef(target);
+      // The share endpoint takes paths
+      const path = ref.path ?? (await this.client.fs.resolve(ref)).path;
+      return { $: 'fs-share', path, access };
+    }));
+
+    return this.client.http.post('/share', { recipients: users, shares });
+  }
+
+  /**
+   * Give a user access to a file or directory, without notifying them
+   * @param {FileTarget} target - The file/directory
+   * @param {string} username - Username of the user
+   * @param {object} [options={}] - Grant options
+   * @param {string} [options.access='read'] - `read` or `write`
+   * @returns {Promise<object>} Result of the grant
+   * @throws {Error} If the username is missing or the access level is invalid
+   * @throws {PuterError} If the permission cannot be granted
+   * @example
+   * await client.perms.grant('/Documents/notes', 'alice', { access: 'write' });
+   */
+  async grant(target, username, options = {}) {
+    const { access = 'read' } = options;
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    checkAccess(access);
+
+    const uid = await this.uidOf(target);
+    return this.client.http.post('/auth/grant-user-user', {
+      target_username: username,
+      permission: `fs:${uid}:${access}`
+    });
+  }
+
+  /**
+   * Remove a user's access to a file or directory
+   * @param {FileTarget} target - The file/directory
+   * @param {string} username - Username of the user
+   * @param {object} [options={}] - Revoke options
+   * @param {string} [options.access] - `read` or `write`; both are revoked by default
+   * @returns {Promise<void>}
+   * @throws {Error} If the username is missing or the access level is invalid
+   * @throws {PuterError} If the permission cannot be revoked
+   * @example
+   * await client.perms.revoke('/Documents/notes', 'alice');
+   */
+  async revoke(target, username, options = {}) {
+    const { access } = options;
+    if (!username) {
+      throw new Error('Username is required');
+    }
+    if (access !== undefined) {
+      checkAccess(access);
+    }
+
+    const uid = await this.uidOf(target);
+    for (const level of access ? [access] : ACCESS_LEVELS) {
+      await this.client.http.post('/auth/revoke-user-user', {
+        target_username: username,
+        permission: `fs:${uid}:${level}`
+      });
+    }
+  }
+
+  /**
+   * List the users the current user has given access to a file or directory
+   * @param {FileTarget} target - The file/directory
+   * @returns {Promise<Array<object>>} Grants as `{ username, access, permission }`
+   * @throws {PuterError} If the permissions cannot be listed
+   * @example
+   * const grants = await client.perms.list('/Documents/notes');
+   * grants.forEach(({ username, access }) => console.log(`${username}: ${access}`));
+   */
+  async list(target) {
+    const uid = await this.uidOf(target);
+    const response = await this.client.http.get('/auth/list-permissions');
+    const prefix = `fs:${uid}:`;
+
+    return (response?.myself_to_user || [])
+      .filter(entry => entry.permission?.startsWith(prefix))
+      .map(entry => ({
+        username: entry.user?.username ?? entry.user,
+        access: entry.permission.slice(prefix.length),
+        permission: entry.permission
+      }));
+  }
+
+  /**
+   * Create a signed link to a file, usable without a Puter account until the
+   * signature expires
+   * @param {FileTarget} target - The file
+   * @param {object} [options={}] - Link options
+   * @param {string} [options.access='read'] - `read` or `write`
+   * @returns {Promise<object>} Signature with the link as `url`, plus `expires` and the raw `signature`
+   * @throws {Error} If the access level is invalid
+   * @throws {PuterError} If the link cannot be created
+   * @example
+   * const { url } = await client.perms.createLink('/Public/brochure.pdf');
+   * console.log(`Download: ${url}`);
+   */
+  async createLink(target, options = {}) {
+    const { access = 'read' } = options;
+    checkAccess(access);
+
+    const uid = await this.uidOf(target);
+    const response = await this.client.http.post('/sign', {
+      items: [{ uid, action: access }]
+    });
+
+    const signature = response?.signatures?.[0] || {};
+    return {
+      ...signature,
+      url: signature.url ?? (access === 'write' ? signature.write_url : signature.read_url)
+    };
+  }
+}
@@ -1,4 +1,4 @@
-import { PuterError } from '../errors.js';
+import { ConflictError, toPuterError } from '../errors.js';
 import { INTERFACE_SUBDOMAINS } from '../constants.js';
 
 /**
@@ -30,10 +30,7 @@ export class PuterSites {
       // Reuse hosting functionality
       return await this.client.hosting.list();
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to list sites');
+      throw toPuterError(error, 'Failed to list sites');
     }
   }
 
@@ -54,24 +51,12 @@ export class PuterSites {
       throw new Error('Site ID is required');
     }
 
-    try {
-      const response = await this.client.http.post('/drivers/call', {
-        interface: INTERFACE_SUBDOMAINS,
-        method: 'read',
-        args: { uid: siteId }
-      });
-
-      if (!response.success) {
-        throw new Error(response.error?.message || 'Failed to get site info');
-      }
-
-      return response.result;
-    } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to get site info');
-    }
+    return this.client.drivers.call({
+      interface: INTERFACE_SUBDOMAINS,
+      method: 'read',
+      args: { uid: siteId },
+      errorMessage: 'Failed to get site info'
+    });
   }
 
   /**
@@ -102,7 +87,7 @@ export class PuterSites {
       // Check if subdomain is available
       const existing = await this.client.hosting.list();
       if (existing.some(s => s.subdomain === name)) {
-        throw new Error('Subdomain already exists');
+        throw new ConflictError({ code: 'SUBDOMAIN_EXISTS', message: 'Subdomain already exists' });
       }
 
       // Create the site (subdomain)
@@ -111,10 +96,7 @@ export class PuterSites {
         rootDir: directory
       });
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(error.message || 'Failed to create site');
+      throw toPuterError(error, 'Failed to create site');
     }
   }
 
@@ -151,10 +133,7 @@ export class PuterSites {
 
       return true;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error(`Failed to delete site: ${error.message}`);
+      throw toPuterError(error, 'Failed to delete site');
     }
   }
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { PuterError } from '../errors.js';
+import { toPuterError } from '../errors.js';
 
 /**
  * PuterUsage class for retrieving storage and resource usage information
@@ -44,10 +44,7 @@ export class PuterUsage {
       const response = await this.client.http.post('/df');
       return response;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to get disk usage information');
+      throw toPuterError(error, 'Failed to get disk usage information');
     }
   }
 
@@ -83,10 +80,7 @@ export class PuterUsage {
       const response = await this.client.http.get('/drivers/usage');
       return response;
     } catch (error) {
-      if (error.response?.data?.error) {
-        throw new PuterError(error.response.data.error);
-      }
-      throw new Error('Failed to get usage information');
+      throw toPuterError(error, 'Failed to get usage information');
     }
   }
 }
\ No newline at end of file
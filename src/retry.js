@@ -0,0 +1,160 @@
+import { getHeader, getDriverPayload } from './http-utils.js';
+
+/**
+ * Default retry policy for the HTTP layer
+ * @type {object}
+ * @property {number} maxAttempts - Total attempts per request, including the first one
+ * @property {number} baseDelay - Delay before the first retry in milliseconds
+ * @property {number} maxDelay - Upper bound of the exponential backoff in milliseconds
+ * @property {number} factor - Backoff multiplier between attempts
+ * @property {boolean} jitter - Randomize delays between 50% and 100% of the backoff
+ * @property {number} maxRetryAfter - Upper bound for server `Retry-After` delays in milliseconds
+ * @property {Array<number>} retryOn - HTTP statuses considered transient
+ * @property {Array<string>} retryOnCodes - Network error codes considered transient
+ * @property {Array<string>} nonIdempotentPaths - Endpoints that must not be replayed blindly
+ * @property {object} nonIdempotentMethods - Driver methods by interface that must not be replayed blindly
+ * @property {function(object): void} [onRetry] - Called with `{ attempt, delay, error, config }` before each retry
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  maxRetryAfter: 60000,
+  retryOn: [408, 429, 502, 503, 504],
+  retryOnCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'],
+  nonIdempotentPaths: ['/delete', '/batch', '/copy', '/move', '/mkdir', '/share'],
+  nonIdempotentMethods: {
+    'puter-kvstore': ['incr', 'decr'],
+    'puter-apps': ['create'],
+    'puter-subdomains': ['create']
+  }
+};
+
+// Errors that prove the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Merge a retry policy with an override
+ * @param {object|null} policy - Base policy, `null` when retries are disabled
+ * @param {object|boolean} [override] - `false` disables retries, an object overrides fields
+ * @returns {object|null} The effective policy, or `null` when retries are disabled
+ */
+export function resolveRetryPolicy(policy, override) {
+  if (override === false) return null;
+  if (override === true) return { ...DEFAULT_RETRY_POLICY, ...policy };
+  if (override && typeof override === 'object') {
+    return { ...DEFAULT_RETRY_POLICY, ...policy, ...override };
+  }
+  return policy;
+}
+
+/**
+ * Parse a `Retry-After` header (seconds or HTTP date) into milliseconds
+ * @param {string} [value] - Header value
+ * @returns {number|null} Delay in milliseconds, or `null` if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the delay before a retry
+ * @param {object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {object} [response] - Failed HTTP response, used for `Retry-After`
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, response) {
+  const retryAfter = parseRetryAfter(getHeader(response?.headers, 'retry-after'));
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxRetryAfter);
+  }
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  return policy.jitter ? Math.round(backoff * (0.5 + Math.random() / 2)) : backoff;
+}
+
+/**
+ * Whether replaying a request could apply its effect twice
+ * @param {object} config - Axios request config
+ * @param {object} policy - Retry policy
+ * @returns {boolean} True if the request is safe to replay
+ */
+export function isIdempotent(config, policy) {
+  if (typeof config.idempotent === 'boolean') return config.idempotent;
+
+  const method = (config.method || 'get').toLowerCase();
+  if (method !== 'post' && method !== 'patch') return true;
+
+  const path = (config.url || '').split('?')[0];
+  if (policy.nonIdempotentPaths.includes(path)) return false;
+
+  const payload = getDriverPayload(config);
+  if (payload) {
+    const methods = policy.nonIdempotentMethods[payload.interface] || [];
+    return !methods.includes(payload.method);
+  }
+
+  return true;
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {object} error - Axios error (with `config` and optional `response`)
+ * @param {object} policy - Retry policy
+ * @returns {boolean} True if the request should be retried
+ */
+export function shouldRetry(error, policy) {
+  const config = error.config;
+  // Streamed bodies cannot be replayed
+  if (typeof config.data?.pipe === 'function') return false;
+
+  const status = error.response?.status;
+  if (status === undefined) {
+    if (!policy.retryOnCodes.includes(error.code)) return false;
+    return NOT_SENT_CODES.includes(error.code) || isIdempotent(config, policy);
+  }
+
+  if (!policy.retryOn.includes(status)) return false;
+  // A throttled request was rejected before being processed
+  return status === 429 || isIdempotent(config, policy);
+}
+
+/**
+ * Install the retry interceptor on a client's HTTP instance. It must be the
+ * last response interceptor so that replayed requests go through the full chain.
+ * The policy is read from `client.retryPolicy` and can be overridden per call
+ * with the `retry` request config key.
+ * @param {object} client - The Puter client instance
+ * @returns {void}
+ * @example
+ * // Per-call override
+ * await client.http.post('/drivers/call', payload, { retry: { maxAttempts: 5 } });
+ */
+export function installRetryInterceptor(client) {
+  client.http.interceptors.response.use(null, async error => {
+    // Errors mapped by the client keep the original axios error as `cause`
+    const original = error?.config ? error : error?.cause;
+    const config = original?.config;
+    const policy = config && resolveRetryPolicy(client.retryPolicy, config.retry);
+    if (!policy) throw error;
+
+    const attempt = (config.retryAttempt || 0) + 1;
+    if (attempt >= policy.maxAttempts || !shouldRetry(original, policy)) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(policy, attempt, original.response);
+    if (policy.onRetry) {
+      policy.onRetry({ attempt, delay, error, config });
+    }
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    return client.http.request({ ...config, retryAttempt: attempt });
+  });
+}
@@ -0,0 +1,192 @@
+/**
+ * Extract a JSON value from model output. Accepts bare JSON, fenced code
+ * blocks (```json ... ```) and JSON embedded in surrounding prose.
+ * @param {string} text - Model output
+ * @returns {*} Parsed JSON value
+ * @throws {Error} If no valid JSON can be found
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Response is not text');
+  }
+
+  const candidates = [];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1]);
+  candidates.push(text);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.trim());
+    } catch (_) {
+      const embedded = findBalanced(candidate);
+      if (embedded !== null) {
+        try {
+          return JSON.parse(embedded);
+        } catch (_) {
+          // Try the next candidate
+        }
+      }
+    }
+  }
+
+  throw new Error('Response does not contain valid JSON');
+}
+
+/**
+ * Find the first balanced `{...}` or `[...]` span in a string
+ * @private
+ */
+function findBalanced(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema subset: `type`, `enum`, `const`,
+ * `properties`, `required`, `additionalProperties`, `items`, `minItems`,
+ * `maxItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `anyOf`, `oneOf` and `allOf`.
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON Schema
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if valid
+ * @example
+ * validateSchema({ age: 'ten' }, {
+ *   type: 'object',
+ *   properties: { age: { type: 'integer' } }
+ * });
+ * // [{ path: '$.age', message: 'expected integer, got string' }]
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateSchema(value, subschema, path));
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateSchema(value, subschema, path).length === 0)) {
+    errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validateSchema(value, subschema, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,306 @@
+import { PuterError } from './errors.js';
+
+/**
+ * Normalize a single decoded stream payload into delta events.
+ * Understands both the Puter envelope (`{ success, result: { message } }`),
+ * Puter's typed chunks (`{ type: 'text', text }`, `{ type: 'tool_use', ... }`)
+ * and OpenAI-style `choices[].delta` chunks.
+ * @param {object} data - Parsed JSON payload
+ * @returns {Array<object>} Delta events
+ * @private
+ */
+export function normalizeChunk(data) {
+  const events = [];
+  if (!data || typeof data !== 'object') {
+    return events;
+  }
+
+  if (data.success === false || data.type === 'error' || (data.error && !data.result)) {
+    const error = data.error || data;
+    events.push({
+      type: 'error',
+      error: new PuterError(typeof error === 'string' ? { message: error } : error)
+    });
+    return events;
+  }
+
+  switch (data.type) {
+    case 'text':
+      if (data.text) events.push({ type: 'text', text: data.text });
+      return events;
+    case 'tool_use':
+    case 'tool_call':
+      events.push(toolCallEvent(data));
+      return events;
+    case 'usage':
+      events.push({ type: 'usage', usage: data.usage || omit(data, 'type') });
+      return events;
+  }
+
+  const message = data.result?.message || data.message;
+  if (message) {
+    if (typeof message.content === 'string' && message.content) {
+      events.push({ type: 'text', text: message.content });
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part?.type === 'text' && part.text) {
+          events.push({ type: 'text', text: part.text });
+        } else if (part?.type === 'tool_use') {
+          events.push(toolCallEvent(part));
+        }
+      }
+    }
+    for (const [index, call] of (message.tool_calls || []).entries()) {
+      events.push(toolCallEvent(call, index));
+    }
+  }
+
+  if (Array.isArray(data.choices)) {
+    for (const choice of data.choices) {
+      const delta = choice.delta || choice.message || {};
+      if (typeof delta.content === 'string' && delta.content) {
+        events.push({ type: 'text', text: delta.content });
+      }
+      for (const call of delta.tool_calls || []) {
+        events.push(toolCallEvent(call, call.index));
+      }
+    }
+  }
+
+  const usage = data.result?.usage || data.usage;
+  if (usage) {
+    events.push({ type: 'usage', usage });
+  }
+
+  return events;
+}
+
+/**
+ * Build a tool_call event from either an OpenAI `tool_calls` entry or a
+ * Puter/Anthropic `tool_use` block.
+ * @private
+ */
+function toolCallEvent(call, index) {
+  const fn = call.function || {};
+  const args = fn.arguments ?? call.arguments ?? call.input;
+  return {
+    type: 'tool_call',
+    index: index ?? call.index,
+    id: call.id,
+    name: fn.name ?? call.name,
+    arguments: args === undefined || typeof args === 'string' ? (args || '') : JSON.stringify(args)
+  };
+}
+
+function omit(object, key) {
+  const { [key]: _omitted, ...rest } = object;
+  return rest;
+}
+
+/**
+ * Split a raw text stream into payload lines, stripping SSE framing.
+ * Returns `null` for lines that carry no payload.
+ * @private
+ */
+function extractPayload(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith(':') || /^(event|id|retry):/.test(trimmed)) {
+    return null;
+  }
+  return trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+}
+
+/**
+ * Async-iterable wrapper around a streaming chat completion.
+ * Handles chunk boundaries, SSE `data:` prefixes and NDJSON lines, and
+ * yields typed delta events:
+ * `{ type: 'text', text }`, `{ type: 'tool_call', index, id, name, arguments }`,
+ * `{ type: 'usage', usage }`, `{ type: 'error', error }` and finally `{ type: 'done' }`.
+ * @class
+ * @example
+ * const stream = await client.ai.chatStream('Explain quantum physics');
+ * for await (const event of stream) {
+ *   if (event.type === 'text') process.stdout.write(event.text);
+ * }
+ */
+export class ChatStream {
+  /**
+   * Creates a new ChatStream
+   * @param {AsyncIterable<Buffer|Uint8Array|string>} source - Raw response stream
+   * @param {object} [options] - Stream options
+   * @param {function(object): void} [options.onFinish] - Called with the aggregated message once the stream ends
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.onFinish = options.onFinish;
+    this.events = [];
+    this.started = false;
+    this.done = false;
+    this.finished = new Promise((resolve, reject) => {
+      this.resolveFinished = resolve;
+      this.rejectFinished = reject;
+    });
+    // Avoid unhandled rejections when nobody awaits the aggregate
+    this.finished.catch(() => {});
+  }
+
+  /**
+   * Iterate over delta events as they arrive. A stream can only be consumed
+   * live once; iterating again replays the recorded events.
+   * @returns {AsyncIterator<object>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (this.done) {
+      yield* this.events;
+      return;
+    }
+    if (this.started) {
+      throw new Error('Stream is already being consumed');
+    }
+    this.started = true;
+
+    try {
+      for await (const event of this.parse()) {
+        this.events.push(event);
+        yield event;
+      }
+    } catch (error) {
+      this.done = true;
+      this.rejectFinished(error);
+      throw error;
+    } finally {
+      // Also reached when the consumer breaks out early
+      if (!this.done) {
+        this.done = true;
+        const message = this.aggregate();
+        if (this.onFinish) this.onFinish(message);
+        this.resolveFinished(message);
+      }
+    }
+  }
+
+  /**
+   * Parse the raw source into events
+   * @private
+   */
+  async *parse() {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let ended = false;
+
+    const handle = function* (line) {
+      const payload = extractPayload(line);
+      if (payload === null) return;
+      if (payload === '[DONE]') {
+        ended = true;
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (_) {
+        // Not JSON, nothing to emit
+        return;
+      }
+      yield* normalizeChunk(data);
+    };
+
+    for await (const chunk of this.source) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        yield* handle(line);
+        if (ended) break;
+      }
+      if (ended) break;
+    }
+    if (!ended) {
+      buffer += decoder.decode();
+      if (buffer) yield* handle(buffer);
+    }
+    yield { type: 'done' };
+  }
+
+  /**
+   * Consume the stream (if not already consumed) and wait for it to end
+   * @returns {Promise<object>} The aggregated assistant message
+   * @private
+   */
+  async drain() {
+    if (!this.started) {
+      for await (const _event of this) { /* drain */ }
+    }
+    return this.finished;
+  }
+
+  /**
+   * Build the assistant message from the recorded events
+   * @private
+   */
+  aggregate() {
+    let content = '';
+    let usage;
+    const calls = [];
+
+    for (const event of this.events) {
+      if (event.type === 'text') {
+        content += event.text;
+      } else if (event.type === 'usage') {
+        usage = event.usage;
+      } else if (event.type === 'tool_call') {
+        let call = event.index !== undefined
+          ? calls.find(c => c.index === event.index)
+          : calls.find(c => event.id && c.id === event.id);
+        if (!call) {
+          call = { index: event.index ?? calls.length, id: event.id, name: event.name, arguments: '' };
+          calls.push(call);
+        }
+        if (event.id) call.id = event.id;
+        if (event.name) call.name = event.name;
+        call.arguments += event.arguments;
+      }
+    }
+
+    const message = { role: 'assistant', content };
+    if (calls.length > 0) {
+      message.tool_calls = calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }));
+    }
+    if (usage) {
+      message.usage = usage;
+    }
+    return message;
+  }
+
+  /**
+   * Consume the stream and return the concatenated text
+   * @returns {Promise<string>} Full response text
+   * @throws {PuterError} If the stream reported an error
+   * @example
+   * const text = await (await client.ai.chatStream('Hello')).text();
+   */
+  async text() {
+    return (await this.finalMessage()).content;
+  }
+
+  /**
+   * Consume the stream and return the aggregated assistant message
+   * @returns {Promise<object>} Message with `role`, `content`, and optional `tool_calls` and `usage`
+   * @throws {PuterError} If the stream reported an error
+   * @example
+   * const message = await (await client.ai.chatStream('Hello')).finalMessage();
+   * console.log(message.content, message.usage);
+   */
+  async finalMessage() {
+    const message = await this.drain();
+    const failure = this.events.find(event => event.type === 'error');
+    if (failure) {
+      throw failure.error;
+    }
+    return message;
+  }
+}
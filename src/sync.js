@@ -0,0 +1,262 @@
+import { NotFoundError } from './errors.js';
+import { globToRegExp } from './glob.js';
+import { joinPath } from './file-utils.js';
+import crypto from './crypto.js';
+
+// Modification times closer than this are considered equal (FAT and some
+// servers only keep 2 second precision)
+const MTIME_TOLERANCE = 2000;
+
+const DIRECTIONS = ['push', 'pull', 'both'];
+
+/**
+ * Build a predicate matching relative paths against exclude patterns.
+ * Patterns without a slash match the base name at any depth.
+ * @private
+ */
+function createExcluder(patterns = []) {
+  const matchers = [].concat(patterns).map(pattern => {
+    const regex = globToRegExp(pattern.replace(/^\/+/, ''));
+    return pattern.includes('/') ? path => regex.test(path) : path => regex.test(path.split('/').pop());
+  });
+  return path => matchers.some(match => match(path));
+}
+
+/**
+ * List the files of a local directory recursively
+ * @private
+ */
+async function listLocal(root, isExcluded) {
+  const { readdir, stat } = await import('node:fs/promises');
+  const files = new Map();
+
+  const visit = async relative => {
+    let entries;
+    try {
+      entries = await readdir(relative ? joinPath(root, relative) : root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && !relative) return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const path = relative ? `${relative}/${entry.name}` : entry.name;
+      if (isExcluded(path)) continue;
+      if (entry.isDirectory()) {
+        await visit(path);
+      } else if (entry.isFile()) {
+        const info = await stat(joinPath(root, path));
+        files.set(path, { size: info.size, mtime: info.mtimeMs });
+      }
+    }
+  };
+
+  await visit('');
+  return files;
+}
+
+/**
+ * List the files of a Puter directory recursively
+ * @private
+ */
+async function listRemote(fs, root, isExcluded, concurrency) {
+  const files = new Map();
+  const prefix = root.endsWith('/') ? root : `${root}/`;
+  const walk = fs.walk(root, {
+    concurrency,
+    filter: entry => !isExcluded(entry.path.slice(prefix.length))
+  });
+
+  // Directories are yielded before they are read, so an error before the
+  // first entry can only come from the root
+  let started = false;
+  try {
+    for await (const entry of walk) {
+      started = true;
+      if (!entry.is_dir) {
+        files.set(entry.path.slice(prefix.length), {
+          size: entry.size,
+          // Puter reports times in seconds
+          mtime: (entry.modified || 0) * 1000
+        });
+      }
+    }
+  } catch (error) {
+    // A missing root is an empty directory, but a directory removed during
+    // the walk would leave a partial listing
+    if (started || !(error instanceof NotFoundError)) throw error;
+  }
+  return files;
+}
+
+/**
+ * SHA-256 digest of a local file
+ * @private
+ */
+async function hashLocal(path) {
+  const { createReadStream } = await import('node:fs');
+  return crypto.sha256(createReadStream(path));
+}
+
+/**
+ * SHA-256 digest of a Puter file
+ * @private
+ */
+async function hashRemote(fs, path) {
+  return crypto.sha256(await fs.read(path, { as: 'stream' }));
+}
+
+/**
+ * Decide what to do with a file present on both sides
+ * @private
+ */
+async function compareFile(context, path, local, remote) {
+  const { fs, localDir, remoteDir, direction, checksum } = context;
+  const localNewer = local.mtime > remote.mtime + MTIME_TOLERANCE;
+  const remoteNewer = remote.mtime > local.mtime + MTIME_TOLERANCE;
+
+  let reason;
+  if (local.size !== remote.size) {
+    reason = 'size';
+  } else if (checksum) {
+    const [localHash, remoteHash] = await Promise.all([
+      hashLocal(joinPath(localDir, path)),
+      hashRemote(fs, joinPath(remoteDir, path))
+    ]);
+    reason = localHash !== remoteHash ? 'checksum' : null;
+  } else if (direction === 'push' ? localNewer : direction === 'pull' ? remoteNewer : localNewer || remoteNewer) {
+    reason = 'mtime';
+  }
+
+  if (!reason) return null;
+  if (direction === 'push') return { action: 'upload', path, reason };
+  if (direction === 'pull') return { action: 'download', path, reason };
+  return { action: remote.mtime > local.mtime ? 'download' : 'upload', path, reason };
+}
+
+/**
+ * Run tasks with at most `concurrency` of them in flight
+ * @private
+ */
+async function runAll(items, concurrency, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Synchronise a local directory with a Puter directory. Node.js only.
+ * See {@link PuterFileSystem#sync} for the options.
+ * @param {object} fs - The PuterFileSystem instance
+ * @param {string} localDir - Local directory
+ * @param {string} remoteDir - Puter directory
+ * @param {object} [options={}] - Sync options
+ * @returns {Promise<object>} Change report
+ */
+export async function syncDirectories(fs, localDir, remoteDir, options = {}) {
+  const {
+    direction = 'push',
+    delete: deleteOrphans = false,
+    dryRun = false,
+    exclude,
+    checksum = false,
+    concurrency = 4
+  } = options;
+
+  if (!localDir || !remoteDir) {
+    throw new Error('Local and remote directories are required');
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid sync direction: ${direction}`);
+  }
+
+  const context = {
+    fs,
+    localDir: localDir.replace(/\/+$/, '') || '/',
+    remoteDir: remoteDir.replace(/\/+$/, '') || '/',
+    direction,
+    checksum
+  };
+  const isExcluded = createExcluder(exclude);
+  const [localFiles, remoteFiles] = await Promise.all([
+    listLocal(context.localDir, isExcluded),
+    listRemote(fs, context.remoteDir, isExcluded, concurrency)
+  ]);
+
+  const changes = [];
+  const unchanged = [];
+  const paths = [...new Set([...localFiles.keys(), ...remoteFiles.keys()])].sort();
+
+  for (const path of paths) {
+    const local = localFiles.get(path);
+    const remote = remoteFiles.get(path);
+    let change = null;
+
+    if (local && remote) {
+      change = await compareFile(context, path, local, remote);
+    } else if (local) {
+      if (direction !== 'pull') change = { action: 'upload', path, reason: 'missing' };
+      else if (deleteOrphans) change = { action: 'delete-local', path, reason: 'orphan' };
+    } else if (direction !== 'push') {
+      change = { action: 'download', path, reason: 'missing' };
+    } else if (deleteOrphans) {
+      change = { action: 'delete-remote', path, reason: 'orphan' };
+    }
+
+    if (change) changes.push(change);
+    else if (local && remote) unchanged.push(path);
+  }
+
+  if (!dryRun) {
+    const { mkdir, rm, stat, utimes } = await import('node:fs/promises');
+    const nodeFs = await import('node:fs');
+
+    await runAll(changes, concurrency, async ({ action, path }) => {
+      const localPath = joinPath(context.localDir, path);
+      const remotePath = joinPath(context.remoteDir, path);
+
+      switch (action) {
+        case 'upload': {
+          const data = nodeFs.openAsBlob
+            ? await nodeFs.openAsBlob(localPath)
+            : nodeFs.createReadStream(localPath);
+          const item = await fs.write(remotePath, data, { overwrite: true, createParents: true });
+          if (direction === 'both') {
+            // The remote copy is stamped with the upload time; give the local
+            // file the same time so the next run does not download it back
+            const modified = item?.modified ?? (await fs.getInfo(remotePath)).modified;
+            if (modified) await utimes(localPath, modified, modified);
+          }
+          break;
+        }
+        case 'download': {
+          await mkdir(localPath.slice(0, localPath.lastIndexOf('/')) || '/', { recursive: true });
+          await fs.download(remotePath, localPath);
+          // Keep the remote modification time so the next run sees both copies as equal
+          const { mtime } = remoteFiles.get(path);
+          if (mtime) await utimes(localPath, mtime / 1000, mtime / 1000);
+          break;
+        }
+        case 'delete-remote':
+          await fs.delete(remotePath);
+          break;
+        case 'delete-local':
+          if ((await stat(localPath)).isFile()) await rm(localPath);
+          break;
+      }
+    });
+  }
+
+  return {
+    direction,
+    dryRun,
+    changes,
+    unchanged,
+    uploaded: changes.filter(change => change.action === 'upload').map(change => change.path),
+    downloaded: changes.filter(change => change.action === 'download').map(change => change.path),
+    deleted: changes.filter(change => change.action.startsWith('delete-')).map(change => change.path)
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Normalize tool declarations into driver-ready definitions and local handlers.
+ * Each tool may be given as:
+ * - `{ name, description, parameters, execute }`
+ * - `{ type: 'function', function: { name, description, parameters }, execute }`
+ * - a named JS function carrying `description` and `parameters` properties
+ * @param {Array<object|Function>} [tools=[]] - Tool declarations
+ * @returns {{definitions: Array<object>, handlers: Map<string, Function>}} OpenAI-style definitions and handlers by name
+ * @throws {Error} If a tool has no name
+ */
+export function normalizeTools(tools = []) {
+  const definitions = [];
+  const handlers = new Map();
+
+  for (const tool of tools) {
+    const fn = tool.type === 'function' && tool.function ? tool.function : tool;
+    const name = fn.name;
+    if (!name || typeof name !== 'string') {
+      throw new Error('Tool name is required');
+    }
+
+    definitions.push({
+      type: 'function',
+      function: {
+        name,
+        ...(fn.description ? { description: fn.description } : {}),
+        parameters: fn.parameters || { type: 'object', properties: {} }
+      }
+    });
+
+    const handler = typeof tool === 'function' ? tool : (tool.execute || tool.handler);
+    if (typeof handler === 'function') {
+      handlers.set(name, handler);
+    }
+  }
+
+  return { definitions, handlers };
+}
+
+/**
+ * Extract tool calls from an assistant message, supporting both the
+ * OpenAI `tool_calls` array and `tool_use` content blocks
+ * @param {object} message - Assistant message
+ * @returns {Array<{id: string, name: string, arguments: object}>} Parsed tool calls
+ */
+export function extractToolCalls(message) {
+  const calls = [];
+  if (!message) {
+    return calls;
+  }
+
+  for (const call of message.tool_calls || []) {
+    calls.push({
+      id: call.id,
+      name: call.function?.name ?? call.name,
+      arguments: parseArguments(call.function?.arguments ?? call.arguments)
+    });
+  }
+
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part?.type === 'tool_use') {
+        calls.push({ id: part.id, name: part.name, arguments: parseArguments(part.input) });
+      }
+    }
+  }
+
+  return calls;
+}
+
+function parseArguments(args) {
+  if (!args) {
+    return {};
+  }
+  if (typeof args !== 'string') {
+    return args;
+  }
+  try {
+    return JSON.parse(args);
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Run a tool call against its local handler and serialize the result for a
+ * `role: 'tool'` message. Handler failures are reported back to the model
+ * instead of aborting the loop.
+ * @param {{id: string, name: string, arguments: object}} call - Parsed tool call
+ * @param {Map<string, Function>} handlers - Handlers by tool name
+ * @returns {Promise<string>} Tool message content
+ */
+export async function executeToolCall(call, handlers) {
+  const handler = handlers.get(call.name);
+  if (!handler) {
+    return JSON.stringify({ error: `Unknown tool: ${call.name}` });
+  }
+
+  try {
+    const output = await handler(call.arguments, call);
+    if (output === undefined) {
+      return '';
+    }
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  } catch (error) {
+    return JSON.stringify({ error: error.message || 'Tool execution failed' });
+  }
+}
@@ -25,6 +25,20 @@ function createMockStream(data) {
   };
 }
 
+// Helper function to create a mock stream emitting raw chunks in order
+function createMockChunkStream(chunks) {
+  const passThrough = new PassThrough();
+
+  setTimeout(() => {
+    for (const chunk of chunks) {
+      passThrough.write(chunk);
+    }
+    passThrough.end();
+  }, 10);
+
+  return passThrough;
+}
+
 // Helper function to create a mock stream for audio streaming
 function createMockAudioStream(audioData = Buffer.from([0x00, 0x01, 0x02])) {
     const passThrough = new PassThrough();
@@ -307,6 +321,293 @@ describe('AI Operations', () => {
     });
   });
 
+  describe('Chat Stream Iterator', () => {
+    it('should yield text deltas from SSE chunks split across boundaries', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, createMockChunkStream([
+        'data: {"type":"text","te',
+        'xt":"Hello"}\n\ndata: {"type":"text","text":", world"}\n',
+        'data: [DONE]\n'
+      ]));
+
+      const stream = await client.ai.chatStream('Say hello');
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        { type: 'text', text: 'Hello' },
+        { type: 'text', text: ', world' },
+        { type: 'done' }
+      ]);
+      expect(JSON.parse(mockAxios.history.post[0].data).args.stream).toBe(true);
+    });
+
+    it('should handle Puter envelope payloads and usage', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, createMockChunkStream([
+        JSON.stringify({ success: true, result: { message: { role: 'assistant', content: 'Puter is...' } } }) + '\n',
+        JSON.stringify({ type: 'usage', usage: { input_tokens: 5, output_tokens: 3 } })
+      ]));
+
+      const stream = await client.ai.chatStream([{ role: 'user', content: 'What is Puter?' }]);
+      const message = await stream.finalMessage();
+
+      expect(message).toEqual({
+        role: 'assistant',
+        content: 'Puter is...',
+        usage: { input_tokens: 5, output_tokens: 3 }
+      });
+    });
+
+    it('should aggregate tool call fragments', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, createMockChunkStream([
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"get_weather","arguments":"{\\"city\\":"}}]}}]}\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"Paris\\"}"}}]}}]}\n'
+      ]));
+
+      const stream = await client.ai.chatStream('Weather in Paris?');
+      const message = await stream.finalMessage();
+
+      expect(message.tool_calls).toEqual([{
+        id: 'call_1',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      }]);
+    });
+
+    it('should return the concatenated text and replay recorded events', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, createMockChunkStream([
+        '{"type":"text","text":"One "}\n{"type":"text","text":"two"}\n'
+      ]));
+
+      const stream = await client.ai.chatStream('Count');
+      expect(await stream.text()).toBe('One two');
+
+      const replayed = [];
+      for await (const event of stream) {
+        replayed.push(event.type);
+      }
+      expect(replayed).toEqual(['text', 'text', 'done']);
+    });
+
+    it('should surface stream errors', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, createMockChunkStream([
+        'data: {"type":"error","message":"Model overloaded","code":"OVERLOADED"}\n'
+      ]));
+
+      const stream = await client.ai.chatStream('Hello');
+      await expect(stream.text()).rejects.toThrow('Model overloaded');
+    });
+  });
+
+  describe('Tool Calling', () => {
+    const weatherTool = {
+      name: 'get_weather',
+      description: 'Get the weather for a city',
+      parameters: {
+        type: 'object',
+        properties: { city: { type: 'string' } },
+        required: ['city']
+      },
+      execute: async ({ city }) => ({ city, temperature: 21 })
+    };
+
+    it('should send tool definitions without handlers', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, {
+        success: true,
+        result: { message: { role: 'assistant', content: 'Hi' } }
+      });
+
+      await client.ai.chat('Hello', { tools: [weatherTool] });
+
+      const payload = JSON.parse(mockAxios.history.post[0].data);
+      expect(payload.args.tools).toEqual([{
+        type: 'function',
+        function: {
+          name: 'get_weather',
+          description: 'Get the weather for a city',
+          parameters: weatherTool.parameters
+        }
+      }]);
+    });
+
+    it('should run tools until the model stops calling them', async () => {
+      mockAxios.onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: {
+            message: {
+              role: 'assistant',
+              content: null,
+              tool_calls: [{
+                id: 'call_1',
+                type: 'function',
+                function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+              }]
+            }
+          }
+        })
+        .onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: { message: { role: 'assistant', content: 'It is 21 degrees in Paris.' } }
+        });
+
+      const toolCalls = [];
+      const result = await client.ai.runTools('Weather in Paris?', {
+        tools: [weatherTool],
+        onToolCall: call => toolCalls.push(call)
+      });
+
+      expect(result.message.content).toBe('It is 21 degrees in Paris.');
+      expect(result.iterations).toBe(2);
+      expect(toolCalls).toEqual([{ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }]);
+
+      const secondPayload = JSON.parse(mockAxios.history.post[1].data);
+      expect(secondPayload.args.messages.at(-1)).toEqual({
+        role: 'tool',
+        tool_call_id: 'call_1',
+        content: JSON.stringify({ city: 'Paris', temperature: 21 })
+      });
+    });
+
+    it('should support tool_use content blocks and report handler errors', async () => {
+      mockAxios.onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: {
+            message: {
+              role: 'assistant',
+              content: [{ type: 'tool_use', id: 'toolu_1', name: 'explode', input: {} }]
+            }
+          }
+        })
+        .onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: { message: { role: 'assistant', content: 'The tool failed.' } }
+        });
+
+      const result = await client.ai.runTools('Go', {
+        tools: [{ name: 'explode', execute: () => { throw new Error('Boom'); } }]
+      });
+
+      expect(result.messages.at(-2)).toEqual({
+        role: 'tool',
+        tool_call_id: 'toolu_1',
+        content: JSON.stringify({ error: 'Boom' })
+      });
+    });
+
+    it('should run tools in streaming mode', async () => {
+      mockAxios.onPost('/drivers/call')
+        .replyOnce(200, createMockChunkStream([
+          'data: {"type":"tool_use","id":"call_1","name":"get_weather","input":{"city":"Oslo"}}\n'
+        ]))
+        .onPost('/drivers/call')
+        .replyOnce(200, createMockChunkStream([
+          'data: {"type":"text","text":"Cold."}\n'
+        ]));
+
+      const events = [];
+      const result = await client.ai.runTools('Weather in Oslo?', {
+        tools: [weatherTool],
+        stream: true,
+        onEvent: event => events.push(event.type)
+      });
+
+      expect(result.message.content).toBe('Cold.');
+      expect(events).toEqual(['tool_call', 'done', 'text', 'done']);
+    });
+
+    it('should stop after maxIterations', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, {
+        success: true,
+        result: {
+          message: {
+            role: 'assistant',
+            content: '',
+            tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: '{}' } }]
+          }
+        }
+      });
+
+      await expect(client.ai.runTools('Loop', { tools: [weatherTool], maxIterations: 2 }))
+        .rejects.toThrow('Tool calls did not finish within 2 iterations');
+      expect(mockAxios.history.post).toHaveLength(2);
+    });
+  });
+
+  describe('Structured Output', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'integer', minimum: 0 }
+      },
+      required: ['name', 'age']
+    };
+
+    it('should parse a fenced JSON reply and send a response format hint', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, {
+        success: true,
+        result: { message: { role: 'assistant', content: 'Here you go:\n```json\n{"name":"Ada","age":36}\n```' } }
+      });
+
+      const { object, attempts } = await client.ai.generateObject({ schema, prompt: 'Invent a user' });
+
+      expect(object).toEqual({ name: 'Ada', age: 36 });
+      expect(attempts).toBe(1);
+      const payload = JSON.parse(mockAxios.history.post[0].data);
+      expect(payload.args.response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'response', schema }
+      });
+      expect(payload.args.messages[0].role).toBe('system');
+      expect(payload.args.messages.at(-1)).toEqual({ role: 'user', content: 'Invent a user' });
+    });
+
+    it('should re-prompt with validation errors', async () => {
+      mockAxios.onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: { message: { role: 'assistant', content: '{"name":"Ada","age":"old"}' } }
+        })
+        .onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: { message: { role: 'assistant', content: '{"name":"Ada","age":36}' } }
+        });
+
+      const { object, attempts } = await client.ai.generateObject({ schema, prompt: 'Invent a user' });
+
+      expect(object).toEqual({ name: 'Ada', age: 36 });
+      expect(attempts).toBe(2);
+      const retryMessages = JSON.parse(mockAxios.history.post[1].data).args.messages;
+      expect(retryMessages.at(-1).content).toContain('$.age: expected integer, got string');
+    });
+
+    it('should throw a SchemaValidationError when retries are exhausted', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, {
+        success: true,
+        result: { message: { role: 'assistant', content: 'I cannot do that.' } }
+      });
+
+      const promise = client.ai.generateObject({ schema, prompt: 'Invent a user', maxRetries: 1 });
+      await expect(promise).rejects.toMatchObject({
+        name: 'SchemaValidationError',
+        code: 'SCHEMA_VALIDATION_FAILED',
+        output: 'I cannot do that.'
+      });
+      expect(mockAxios.history.post).toHaveLength(2);
+    });
+
+    it('should require a schema', async () => {
+      await expect(client.ai.generateObject({ prompt: 'Hello' }))
+        .rejects.toThrow('Schema is required');
+    });
+  });
+
   describe('OCR Operations', () => {
     it('should perform OCR on an image', async () => {
       const mockResponse = {
@@ -330,5 +330,32 @@ describe('App Management', () => {
       })).rejects.toThrow('App already exists');
     });
   });
+
+  describe('updateApp', () => {
+    it('should copy directory files into the app subdomain', async () => {
+      mockAxios.onPost('/drivers/call').replyOnce(200, {
+        success: true,
+        result: { name: 'test-app', uid: 'app-123' }
+      });
+      mockAxios.onPost('/drivers/call').replyOnce(200, {
+        success: true,
+        result: [{ uid: 'sd-1', root_dir: { dirname: '/user/AppData/app-123', path: '/user/AppData/app-123/site' } }]
+      });
+      mockAxios.onPost('/readdir').reply(200, [
+        { name: 'index.html', path: '/dist/index.html' },
+        { name: 'app.js' }
+      ]);
+      mockAxios.onPost('/copy').reply(200, [{ copied: { path: '/user/AppData/app-123/site/index.html' } }]);
+
+      const app = await client.apps.update('test-app', { directory: '/dist' });
+
+      expect(app).toEqual({ name: 'test-app', uid: 'app-123' });
+      const copies = mockAxios.history.post.filter(request => request.url === '/copy').map(request => JSON.parse(request.data));
+      expect(copies).toEqual([
+        { source: '/dist/index.html', destination: '/user/AppData/app-123/site', overwrite: true, dedupe_name: false },
+        { source: '/dist/app.js', destination: '/user/AppData/app-123/site', overwrite: true, dedupe_name: false }
+      ]);
+    });
+  });
   
 });
\ No newline at end of file
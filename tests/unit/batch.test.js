@@ -1,5 +1,6 @@
 import { describe, expect, it, beforeEach } from 'vitest';
-import PuterClient from '../../src/index';
+import { Readable } from 'stream';
+import PuterClient, { ConflictError } from '../../src/index';
 import { mockAxios } from '../mocks/axios';
 
 describe('Batch Operations', () => {
@@ -11,7 +12,99 @@ describe('Batch Operations', () => {
   });
 
   it('should perform batch operation', async () => {
-    expect(true).toEqual(true);
+    mockAxios.onPost('/batch').reply(200, {
+      results: [
+        { uid: 'dir-1', path: '/Projects/site' },
+        { uid: 'file-1', path: '/Projects/site/index.html' },
+        { uid: 'file-2', path: '/Projects/site/app.js' },
+        { uid: 'link-1', path: '/Desktop/site' }
+      ]
+    });
+
+    const batch = client.fs.batch()
+      .mkdir('/Projects/site')
+      .write('/Projects/site/index.html', '<h1>Hello</h1>')
+      .write('/Projects/site/app.js', Readable.from(['console.log(1)']), { overwrite: false })
+      .shortcut('/Desktop/site', '/Projects/site');
+    expect(batch.size).toBe(4);
+
+    const { results, failures } = await batch.commit();
+    expect(failures).toEqual([]);
+    expect(results.map(result => [result.op, result.path, result.result.uid])).toEqual([
+      ['mkdir', '/Projects/site', 'dir-1'],
+      ['write', '/Projects/site/index.html', 'file-1'],
+      ['write', '/Projects/site/app.js', 'file-2'],
+      ['shortcut', '/Desktop/site', 'link-1']
+    ]);
+
+    const form = mockAxios.history.post[0].data;
+    expect([...form.keys()]).toEqual([
+      'operation_id', 'fileinfo', 'fileinfo', 'operation', 'operation', 'operation', 'operation', 'file', 'file'
+    ]);
+    expect(form.getAll('fileinfo').map(info => JSON.parse(info))).toEqual([
+      { name: 'index.html', type: 'text/html', size: 14 },
+      { name: 'app.js', type: 'text/javascript', size: 14 }
+    ]);
+    expect(form.getAll('operation').map(operation => JSON.parse(operation))).toEqual([
+      { op: 'mkdir', parent: '/Projects', path: 'site', overwrite: false, dedupe_name: false, create_missing_parents: true },
+      { op: 'write', path: '/Projects/site', name: 'index.html', overwrite: true, dedupe_name: false, create_missing_parents: true },
+      { op: 'write', path: '/Projects/site', name: 'app.js', overwrite: false, dedupe_name: false, create_missing_parents: true },
+      { op: 'shortcut', path: '/Desktop', name: 'site', shortcut_to_path: '/Projects/site', dedupe_name: true }
+    ]);
+    expect(await Promise.all(form.getAll('file').map(file => file.text()))).toEqual(['<h1>Hello</h1>', 'console.log(1)']);
   });
 
-});
\ No newline at end of file
+  it('should report per-operation failures', async () => {
+    mockAxios.onPost('/batch').reply(200, {
+      results: [
+        { error: { code: 'item_with_same_name_exists', message: 'An item with the same name exists' } },
+        { uid: 'link-1' }
+      ]
+    });
+
+    const { results, failures } = await client.fs.batch()
+      .write('/notes.txt', 'x', { overwrite: false })
+      .shortcut('/Desktop/notes', 'file-uid-1')
+      .commit();
+
+    expect(results.map(result => result.success)).toEqual([false, true]);
+    expect(failures).toHaveLength(1);
+    expect(failures[0].path).toBe('/notes.txt');
+    expect(failures[0].error).toBeInstanceOf(ConflictError);
+    expect(JSON.parse(mockAxios.history.post[0].data.getAll('operation')[1]).shortcut_to).toBe('file-uid-1');
+  });
+
+  it('should mark operations without a result as failed', async () => {
+    mockAxios.onPost('/batch').reply(200, { results: [{ uid: 'dir-1' }] });
+
+    const { failures } = await client.fs.batch().mkdir('/a').mkdir('/b').commit();
+    expect(failures.map(failure => failure.path)).toEqual(['/b']);
+    expect(failures[0].error.message).toBe('No result returned for this operation');
+  });
+
+  it('should not send empty batches', async () => {
+    await expect(client.fs.batch().commit()).resolves.toEqual({ results: [], failures: [] });
+    expect(mockAxios.history.post).toHaveLength(0);
+  });
+
+  it('should take path references and shortcut targets by reference', async () => {
+    mockAxios.onPost('/batch').reply(200, { results: [{}, {}, {}] });
+
+    await client.fs.batch()
+      .mkdir({ path: '/Projects' })
+      .write({ path: '/Projects/a.txt' }, 'x')
+      .shortcut({ path: '/Desktop/a' }, { uid: 'file-1', path: '/Projects/a.txt' })
+      .commit();
+
+    const operations = mockAxios.history.post[0].data.getAll('operation').map(operation => JSON.parse(operation));
+    expect(operations[0]).toMatchObject({ op: 'mkdir', parent: '/', path: 'Projects' });
+    expect(operations[1]).toMatchObject({ op: 'write', path: '/Projects', name: 'a.txt' });
+    expect(operations[2]).toMatchObject({ op: 'shortcut', path: '/Desktop', name: 'a', shortcut_to: 'file-1' });
+  });
+
+  it('should validate operations', () => {
+    expect(() => client.fs.batch().write('/dir/', 'x')).toThrow('A file path is required');
+    expect(() => client.fs.batch().write({ uid: 'file-1' }, 'x')).toThrow('A file path is required');
+    expect(() => client.fs.batch().shortcut('/Desktop/link')).toThrow('Shortcut path and target are required');
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient, { Conversation } from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+import { PassThrough } from 'stream';
+
+function reply(content) {
+  return [200, {
+    success: true,
+    result: {
+      message: { role: 'assistant', content },
+      usage: { input_tokens: 1, output_tokens: 1 }
+    }
+  }];
+}
+
+describe('Conversations', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token' });
+    mockAxios.reset();
+  });
+
+  it('should keep the message history between sends', async () => {
+    mockAxios.onPost('/drivers/call')
+      .replyOnce(...reply('Hello Ada!'))
+      .onPost('/drivers/call')
+      .replyOnce(...reply('Your name is Ada.'));
+
+    const conversation = client.ai.conversation({ system: 'Be terse.', model: 'gpt-4o-mini' });
+    await conversation.send('My name is Ada.');
+    const result = await conversation.send('What is my name?');
+
+    expect(result.message.content).toBe('Your name is Ada.');
+    const payload = JSON.parse(mockAxios.history.post[1].data);
+    expect(payload.args.model).toBe('gpt-4o-mini');
+    expect(payload.args.messages).toEqual([
+      { role: 'system', content: 'Be terse.' },
+      { role: 'user', content: 'My name is Ada.' },
+      { role: 'assistant', content: 'Hello Ada!' },
+      { role: 'user', content: 'What is my name?' }
+    ]);
+  });
+
+  it('should not keep the user message when the request fails', async () => {
+    mockAxios.onPost('/drivers/call').reply(500, {
+      error: { message: 'AI service unavailable' }
+    });
+
+    const conversation = client.ai.conversation();
+    await expect(conversation.send('Hello')).rejects.toThrow('AI service unavailable');
+    expect(conversation.messages).toEqual([]);
+  });
+
+  it('should append streamed replies once consumed', async () => {
+    const stream = new PassThrough();
+    setTimeout(() => stream.end('data: {"type":"text","text":"Streamed"}\n'), 10);
+    mockAxios.onPost('/drivers/call').reply(200, stream);
+
+    const conversation = client.ai.conversation();
+    const chatStream = await conversation.stream('Hi');
+    expect(await chatStream.text()).toBe('Streamed');
+    expect(conversation.messages).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Streamed' }
+    ]);
+  });
+
+  it('should leave the history unchanged when a stream fails or is abandoned', async () => {
+    const failing = new PassThrough();
+    failing.end('data: {"success":false,"error":{"message":"Model overloaded"}}\n');
+    mockAxios.onPost('/drivers/call').replyOnce(200, failing);
+
+    const messages = [{ role: 'user', content: '1' }, { role: 'assistant', content: '2' }];
+    const conversation = client.ai.conversation({ maxMessages: 2, messages });
+    await expect((await conversation.stream('hi')).finalMessage()).rejects.toThrow('Model overloaded');
+    expect(conversation.messages).toEqual(messages);
+
+    const long = new PassThrough();
+    long.end('data: {"type":"text","text":"a"}\ndata: {"type":"text","text":"b"}\n');
+    mockAxios.onPost('/drivers/call').replyOnce(200, long);
+    for await (const event of await conversation.stream('again')) {
+      if (event.type === 'text') break;
+    }
+    expect(conversation.messages).toEqual(messages);
+  });
+
+  it('should keep sent messages within the limits', async () => {
+    mockAxios.onPost('/drivers/call').reply(...reply('Noted.'));
+
+    const conversation = client.ai.conversation({
+      maxMessages: 2,
+      messages: [
+        { role: 'user', content: '1' },
+        { role: 'assistant', content: '2' }
+      ]
+    });
+    await conversation.send('3');
+
+    expect(JSON.parse(mockAxios.history.post[0].data).args.messages).toEqual([{ role: 'user', content: '3' }]);
+    expect(conversation.messages.map(m => m.content)).toEqual(['3', 'Noted.']);
+  });
+
+  it('should keep streamed requests within the token budget', async () => {
+    const stream = new PassThrough();
+    stream.end('data: {"type":"text","text":"ok"}\n');
+    mockAxios.onPost('/drivers/call').reply(200, stream);
+
+    const conversation = client.ai.conversation({
+      maxTokens: 40,
+      messages: [
+        { role: 'user', content: 'a'.repeat(100) },
+        { role: 'assistant', content: 'b'.repeat(20) }
+      ]
+    });
+    await (await conversation.stream('c'.repeat(40))).text();
+
+    expect(JSON.parse(mockAxios.history.post[0].data).args.messages).toEqual([{ role: 'user', content: 'c'.repeat(40) }]);
+  });
+
+  it('should restore trimmed messages when the request fails', async () => {
+    mockAxios.onPost('/drivers/call').reply(500, { error: { message: 'AI service unavailable' } });
+
+    const messages = [{ role: 'user', content: '1' }, { role: 'assistant', content: '2' }];
+    const conversation = client.ai.conversation({ maxMessages: 2, messages });
+    await expect(conversation.send('3')).rejects.toThrow('AI service unavailable');
+    expect(conversation.messages).toEqual(messages);
+  });
+
+  it('should truncate history by message count', () => {
+    const conversation = client.ai.conversation({
+      maxMessages: 3,
+      messages: [
+        { role: 'user', content: '1' },
+        { role: 'assistant', content: '2' },
+        { role: 'user', content: '3' },
+        { role: 'assistant', content: '4' }
+      ]
+    });
+
+    // Dropping "1" would leave an assistant message first, so it is dropped too
+    expect(conversation.messages.map(m => m.content)).toEqual(['3', '4']);
+  });
+
+  it('should truncate history by approximate token budget', () => {
+    const conversation = client.ai.conversation({
+      system: 'Short.',
+      maxTokens: 40,
+      messages: [
+        { role: 'user', content: 'a'.repeat(100) },
+        { role: 'assistant', content: 'b'.repeat(100) },
+        { role: 'user', content: 'c'.repeat(40) }
+      ]
+    });
+
+    expect(conversation.messages).toEqual([{ role: 'user', content: 'c'.repeat(40) }]);
+    expect(conversation.history[0]).toEqual({ role: 'system', content: 'Short.' });
+  });
+
+  it('should undo the last exchange', () => {
+    const conversation = client.ai.conversation({
+      messages: [
+        { role: 'user', content: 'Q1' },
+        { role: 'assistant', content: 'A1' },
+        { role: 'user', content: 'Q2' },
+        { role: 'assistant', content: 'A2' }
+      ]
+    });
+
+    expect(conversation.undo()).toEqual([
+      { role: 'user', content: 'Q2' },
+      { role: 'assistant', content: 'A2' }
+    ]);
+    expect(conversation.messages).toHaveLength(2);
+  });
+
+  it('should fork independently', () => {
+    const conversation = client.ai.conversation({ messages: [{ role: 'user', content: 'Q1' }] });
+    const fork = conversation.fork();
+    fork.messages.push({ role: 'assistant', content: 'A1' });
+
+    expect(conversation.messages).toHaveLength(1);
+    expect(fork.messages).toHaveLength(2);
+  });
+
+  it('should round-trip through JSON', () => {
+    const conversation = client.ai.conversation({
+      system: 'Be terse.',
+      model: 'gpt-4o-mini',
+      maxMessages: 10,
+      messages: [{ role: 'user', content: 'Q1' }]
+    });
+
+    const restored = Conversation.fromJSON(client.ai, JSON.stringify(conversation));
+    expect(restored).toBeInstanceOf(Conversation);
+    expect(restored.toJSON()).toEqual(conversation.toJSON());
+  });
+});
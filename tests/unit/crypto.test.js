@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest';
+import { Readable } from 'stream';
 import crypto from '../../src/crypto.js';
 
 describe('Crypto Polyfill', () => {
@@ -16,4 +17,16 @@ describe('Crypto Polyfill', () => {
     });
   });
 
+  describe('SHA-256', () => {
+    const HELLO = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+
+    it('should hash strings, buffers, Blobs and streams alike', async () => {
+      expect(await crypto.sha256('hello')).toBe(HELLO);
+      expect(await crypto.sha256(Buffer.from('hello'))).toBe(HELLO);
+      expect(await crypto.sha256(new TextEncoder().encode('hello').buffer)).toBe(HELLO);
+      expect(await crypto.sha256(new Blob(['hel', 'lo']))).toBe(HELLO);
+      expect(await crypto.sha256(Readable.from(['he', 'llo']))).toBe(HELLO);
+    });
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import { PassThrough } from 'stream';
+import PuterClient, { NotFoundError } from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+describe('Driver Calls', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token', retry: false });
+    mockAxios.reset();
+  });
+
+  it('should send the payload and return the result', async () => {
+    mockAxios.onPost('/drivers/call').reply(200, { success: true, result: ['a', 'b'] });
+
+    const result = await client.drivers.call({
+      interface: 'puter-example',
+      service: 'example-service',
+      driver: 'example-driver',
+      testMode: true,
+      method: 'list',
+      args: { limit: 2 }
+    });
+
+    expect(result).toEqual(['a', 'b']);
+    expect(mockAxios.history.post[0].data).toBe(JSON.stringify({
+      interface: 'puter-example',
+      service: 'example-service',
+      driver: 'example-driver',
+      test_mode: true,
+      method: 'list',
+      args: { limit: 2 }
+    }));
+  });
+
+  it('should accept positional arguments and omit missing keys', async () => {
+    mockAxios.onPost('/drivers/call').reply(200, { success: true, result: 'Hello' });
+
+    await expect(client.drivers.call('puter-kvstore', 'get', { key: 'greeting' })).resolves.toBe('Hello');
+    await client.drivers.call('puter-kvstore', 'flush');
+
+    expect(JSON.parse(mockAxios.history.post[0].data)).toEqual({
+      interface: 'puter-kvstore',
+      method: 'get',
+      args: { key: 'greeting' }
+    });
+    expect(JSON.parse(mockAxios.history.post[1].data)).toEqual({
+      interface: 'puter-kvstore',
+      method: 'flush'
+    });
+  });
+
+  it('should return the envelope with callRaw', async () => {
+    mockAxios.onPost('/drivers/call').reply(200, { success: true, result: 1, service: 'x' });
+
+    const response = await client.drivers.callRaw({ interface: 'puter-example', method: 'read' });
+    expect(response).toEqual({ success: true, result: 1, service: 'x' });
+  });
+
+  it('should throw typed errors for failed calls', async () => {
+    mockAxios.onPost('/drivers/call').replyOnce(200, {
+      success: false,
+      error: { code: 'entity_not_found', message: 'Entity not found' }
+    });
+    mockAxios.onPost('/drivers/call').replyOnce(200, { success: false });
+
+    await expect(client.drivers.call({ interface: 'puter-example', method: 'read' }))
+      .rejects.toBeInstanceOf(NotFoundError);
+    await expect(client.drivers.call({ interface: 'puter-example', method: 'read' }))
+      .rejects.toThrow('Failed to call puter-example.read');
+  });
+
+  it('should use the custom error message when the server sends none', async () => {
+    mockAxios.onPost('/drivers/call').reply(500);
+
+    await expect(client.drivers.call({
+      interface: 'puter-example',
+      method: 'read',
+      errorMessage: 'Failed to read example'
+    })).rejects.toThrow('Failed to read example');
+  });
+
+  it('should require an interface and a method', async () => {
+    await expect(client.drivers.call({ interface: 'puter-example' }))
+      .rejects.toThrow('Driver interface and method are required');
+  });
+
+  it('should return the response stream', async () => {
+    const body = new PassThrough();
+    mockAxios.onPost('/drivers/call').reply(200, body);
+
+    const stream = await client.drivers.stream({ interface: 'puter-tts', method: 'synthesize', args: { text: 'Hi' } });
+    expect(stream).toBe(body);
+    expect(mockAxios.history.post[0].responseType).toBe('stream');
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient, {
+  PuterError,
+  AuthenticationError,
+  NotFoundError,
+  PermissionDeniedError,
+  QuotaExceededError,
+  RateLimitError,
+  ConflictError,
+  ValidationError,
+  NetworkError,
+  createPuterError
+} from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+describe('Typed Errors', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token', retry: false });
+    mockAxios.reset();
+  });
+
+  it('should map Puter error codes to error classes', () => {
+    expect(createPuterError({ code: 'subject_does_not_exist' })).toBeInstanceOf(NotFoundError);
+    expect(createPuterError({ code: 'forbidden' })).toBeInstanceOf(PermissionDeniedError);
+    expect(createPuterError({ code: 'storage_limit_reached' })).toBeInstanceOf(QuotaExceededError);
+    expect(createPuterError({ code: 'item_with_same_name_exists' })).toBeInstanceOf(ConflictError);
+    expect(createPuterError({ code: 'APP_EXISTS' })).toBeInstanceOf(ConflictError);
+    expect(createPuterError({ code: 'field_invalid' })).toBeInstanceOf(ValidationError);
+    expect(createPuterError({ code: 'token_auth_failed' })).toBeInstanceOf(AuthenticationError);
+    expect(createPuterError({ code: 'something_else' }).constructor).toBe(PuterError);
+  });
+
+  it('should keep the server code and payload of authentication errors', () => {
+    const error = createPuterError({ code: 'token_auth_failed', message: 'Token expired', reason: 'expired' });
+    expect(error.code).toBe('token_auth_failed');
+    expect(error.details).toMatchObject({ code: 'token_auth_failed', reason: 'expired' });
+    expect(new AuthenticationError({ message: 'Bad password' }).code).toBe('AUTHENTICATION_FAILED');
+  });
+
+  it('should fall back to the HTTP status when the code is unknown', () => {
+    expect(createPuterError({ message: 'Nope' }, { status: 404 })).toBeInstanceOf(NotFoundError);
+    expect(createPuterError({ message: 'Slow down' }, { status: 429 })).toBeInstanceOf(RateLimitError);
+    expect(createPuterError({ message: 'Full' }, { status: 507 })).toBeInstanceOf(QuotaExceededError);
+  });
+
+  it('should keep the server code, message, status and request ID', async () => {
+    mockAxios.onPost('/stat').reply(404,
+      { error: { code: 'subject_does_not_exist', message: 'File not found' } },
+      { 'x-request-id': 'req-123' }
+    );
+
+    const error = await client.fs.getInfo('/missing.txt').catch(e => e);
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toBeInstanceOf(PuterError);
+    expect(error.name).toBe('NotFoundError');
+    expect(error.code).toBe('subject_does_not_exist');
+    expect(error.message).toBe('File not found');
+    expect(error.status).toBe(404);
+    expect(error.requestId).toBe('req-123');
+    expect(error.cause.isAxiosError).toBe(true);
+  });
+
+  it('should expose Retry-After on rate limit errors', async () => {
+    mockAxios.onPost('/readdir').reply(429, { error: { message: 'Too many requests' } }, { 'retry-after': '2' });
+
+    const error = await client.fs.readdir('/').catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.code).toBe('RATE_LIMITED');
+    expect(error.retryAfter).toBe(2000);
+  });
+
+  it('should raise a NetworkError when the server cannot be reached', async () => {
+    mockAxios.onPost('/readdir').networkErrorOnce();
+    mockAxios.onPost('/stat').timeoutOnce();
+
+    const network = await client.fs.readdir('/').catch(e => e);
+    expect(network).toBeInstanceOf(NetworkError);
+    expect(network.message).toBe('Network Error');
+
+    const timeout = await client.fs.getInfo('/file.txt').catch(e => e);
+    expect(timeout).toBeInstanceOf(NetworkError);
+    expect(timeout.code).toBe('ECONNABORTED');
+  });
+
+  it('should raise typed errors from driver calls', async () => {
+    mockAxios.onPost('/drivers/call').reply(200, {
+      success: false,
+      error: { code: 'forbidden', message: 'Access denied' }
+    });
+
+    await expect(client.kv.get('key')).rejects.toBeInstanceOf(PermissionDeniedError);
+    await expect(client.apps.get('app')).rejects.toThrow('Access denied');
+  });
+
+  it('should raise a ConflictError when an app already exists', async () => {
+    mockAxios.onPost('/drivers/call').reply(200, {
+      success: false,
+      error: { code: 'APP_EXISTS', message: 'App already exists' }
+    });
+
+    await expect(client.apps.create({ name: 'taken' })).rejects.toBeInstanceOf(ConflictError);
+  });
+});
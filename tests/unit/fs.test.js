@@ -1,5 +1,9 @@
-import { describe, expect, it, beforeEach } from 'vitest';
-import PuterClient from '../../src/index';
+import { describe, expect, it, beforeEach, afterEach } from 'vitest';
+import { PassThrough, Readable } from 'stream';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import PuterClient, { NotFoundError, PuterError } from '../../src/index';
 import { mockAxios } from '../mocks/axios';
 
 describe('File Operations', () => {
@@ -63,6 +67,16 @@ describe('File Operations', () => {
         path: '/existing-directory'
       })).rejects.toThrow('Directory already exists');
     });
+
+    it('should take a path reference and reject other targets', async () => {
+      mockAxios.onPost('/mkdir').reply(200, { uid: 'dir-1' });
+
+      await client.fs.mkdir({ path: { path: '/Documents/Projects' } });
+      expect(JSON.parse(mockAxios.history.post[0].data)).toMatchObject({ parent: '/Documents', path: 'Projects' });
+
+      await expect(client.fs.mkdir({ path: { uid: 'dir-1' } })).rejects.toThrow('A directory path is required');
+      expect(mockAxios.history.post).toHaveLength(1);
+    });
   });
 
   describe('File Operations', () => {
@@ -151,6 +165,633 @@ describe('File Operations', () => {
     });
   });
 
+  describe('Walk and Glob', () => {
+    beforeEach(() => {
+      mockAxios.onPost('/readdir', { path: '/Documents' }).reply(200, [
+        { uid: 'd1', name: 'notes', path: '/Documents/notes', is_dir: true },
+        { uid: 'f1', name: 'readme.md', path: '/Documents/readme.md', is_dir: false },
+        { uid: 'f2', name: 'data.json', path: '/Documents/data.json', is_dir: false }
+      ]);
+      mockAxios.onPost('/readdir', { path: '/Documents/notes' }).reply(200, [
+        { uid: 'f3', name: 'todo.md', is_dir: false },
+        // Symlink back to the parent directory
+        { uid: 'd1', name: 'loop', path: '/Documents/notes/loop', is_dir: true }
+      ]);
+    });
+
+    it('should walk a directory tree breadth-first', async () => {
+      const paths = [];
+      for await (const entry of client.fs.walk('/Documents/')) {
+        paths.push(`${entry.depth}:${entry.path}`);
+      }
+
+      expect(paths).toEqual([
+        '1:/Documents/notes',
+        '1:/Documents/readme.md',
+        '1:/Documents/data.json',
+        '2:/Documents/notes/todo.md',
+        '2:/Documents/notes/loop'
+      ]);
+      expect(mockAxios.history.post).toHaveLength(2);
+    });
+
+    it('should honour depth and filter', async () => {
+      const entries = [];
+      for await (const entry of client.fs.walk('/Documents', { depth: 1, filter: e => !e.name.endsWith('.json') })) {
+        entries.push(entry.name);
+      }
+      expect(entries).toEqual(['notes', 'readme.md']);
+      expect(mockAxios.history.post).toHaveLength(1);
+    });
+
+    it('should abort when maxEntries is exceeded', async () => {
+      const walk = async () => {
+        for await (const _entry of client.fs.walk('/Documents', { maxEntries: 2 })) {
+          // Consume the iterator
+        }
+      };
+      const error = await walk().catch(e => e);
+      expect(error).toBeInstanceOf(PuterError);
+      expect(error.code).toBe('WALK_LIMIT_EXCEEDED');
+    });
+
+    it('should glob files', async () => {
+      const all = await client.fs.glob('/Documents/**/*.md');
+      expect(all.map(entry => entry.path)).toEqual(['/Documents/readme.md', '/Documents/notes/todo.md']);
+
+      mockAxios.resetHistory();
+      const top = await client.fs.glob('/Documents/*.{md,json}');
+      expect(top.map(entry => entry.name)).toEqual(['readme.md', 'data.json']);
+      expect(mockAxios.history.post).toHaveLength(1);
+    });
+
+    it('should stat plain paths', async () => {
+      mockAxios.onPost('/stat', { path: '/Documents/readme.md' }).reply(200, { name: 'readme.md', is_dir: false });
+      mockAxios.onPost('/stat', { path: '/Documents/missing.md' }).reply(404, {
+        error: { code: 'subject_does_not_exist', message: 'Not found' }
+      });
+
+      await expect(client.fs.glob('/Documents/readme.md')).resolves.toEqual([{ name: 'readme.md', is_dir: false }]);
+      await expect(client.fs.glob('/Documents/missing.md')).resolves.toEqual([]);
+    });
+  });
+
+  describe('Copy, Move and Touch', () => {
+    it('should copy a file', async () => {
+      const copied = { uid: 'file-2', path: '/Backups/report (1).pdf' };
+      mockAxios.onPost('/copy').reply(200, [{ copied, overwritten: null }]);
+
+      const result = await client.fs.copy('/Documents/report.pdf', '/Backups', { dedupeName: true });
+      expect(result).toEqual(copied);
+      expect(mockAxios.history.post[0].data).toEqual(JSON.stringify({
+        source: '/Documents/report.pdf',
+        destination: '/Backups',
+        overwrite: false,
+        dedupe_name: true
+      }));
+    });
+
+    it('should move a file to another directory under a new name', async () => {
+      const moved = { uid: 'file-1', path: '/Archive/draft-2024.txt' };
+      mockAxios.onPost('/move').reply(200, { moved, old_path: '/Documents/draft.txt' });
+
+      const result = await client.fs.move('/Documents/draft.txt', '/Archive', {
+        newName: 'draft-2024.txt',
+        overwrite: true,
+        createParents: true
+      });
+      expect(result).toEqual(moved);
+      expect(mockAxios.history.post[0].data).toEqual(JSON.stringify({
+        source: '/Documents/draft.txt',
+        destination: '/Archive',
+        overwrite: true,
+        new_name: 'draft-2024.txt',
+        dedupe_name: false,
+        create_missing_parents: true
+      }));
+    });
+
+    it('should require a source and a destination', async () => {
+      await expect(client.fs.copy('/file.txt')).rejects.toThrow('Source and destination are required');
+      await expect(client.fs.move(undefined, '/dir')).rejects.toThrow('Source and destination are required');
+    });
+
+    it('should touch an existing file', async () => {
+      const item = { uid: 'file-1', path: '/Documents/.keep', modified: 1700000000 };
+      mockAxios.onPost('/touch').reply(200, {});
+      mockAxios.onPost('/stat').reply(200, item);
+
+      await expect(client.fs.touch('/Documents/.keep')).resolves.toEqual(item);
+      expect(JSON.parse(mockAxios.history.post[0].data)).toEqual({
+        path: '/Documents/.keep',
+        set_accessed_to_now: true,
+        set_modified_to_now: true
+      });
+    });
+
+    it('should create an empty file when touching a missing path', async () => {
+      const item = { uid: 'file-3', path: '/Documents/new.txt', size: 0 };
+      mockAxios.onPost('/touch').reply(404, { error: { code: 'subject_does_not_exist', message: 'Not found' } });
+      mockAxios.onPost('/batch').reply(200, { results: [item] });
+
+      await expect(client.fs.touch('/Documents/new.txt')).resolves.toEqual(item);
+      const form = mockAxios.history.post[1].data;
+      expect(JSON.parse(form.get('operation'))).toMatchObject({ name: 'new.txt', overwrite: false });
+      expect(form.get('file').size).toBe(0);
+    });
+  });
+
+  describe('Resumable Uploads', () => {
+    const file = new Blob(['0123456789'], { type: 'text/plain' });
+    const operations = () => mockAxios.history.post.map(request => JSON.parse(request.data.get('operation')));
+    // Write result of a server appending each part at its offset
+    const written = name => config => {
+      const { offset = 0 } = JSON.parse(config.data.get('operation'));
+      return [200, { results: [{ name, size: offset + config.data.get('file').size }] }];
+    };
+
+    beforeEach(() => {
+      client = new PuterClient({ token: 'test-token', retry: { baseDelay: 1, jitter: false } });
+    });
+
+    it('should upload in parts with progress and state events', async () => {
+      mockAxios.onPost('/batch').reply(written('data (1).txt'));
+      const progress = [];
+      const states = [];
+
+      await client.fs.upload({
+        file,
+        path: '/Uploads',
+        name: 'data.txt',
+        dedupeName: true,
+        resumable: true,
+        partSize: 4,
+        onProgress: event => progress.push(event.loaded),
+        onState: state => states.push(state.bytesCommitted)
+      });
+
+      expect(operations()).toEqual([
+        { op: 'write', path: '/Uploads', name: 'data.txt', dedupe_name: true },
+        { op: 'write', path: '/Uploads', name: 'data (1).txt', overwrite: true, dedupe_name: false, offset: 4 },
+        { op: 'write', path: '/Uploads', name: 'data (1).txt', overwrite: true, dedupe_name: false, offset: 8 }
+      ]);
+      const parts = await Promise.all(mockAxios.history.post.map(request => request.data.get('file').text()));
+      expect(parts).toEqual(['0123', '4567', '89']);
+      expect(states).toEqual([4, 8, 10]);
+      expect(progress[0]).toBe(0);
+      expect(progress[progress.length - 1]).toBe(10);
+    });
+
+    it('should retry failed parts', async () => {
+      mockAxios.onPost('/batch').replyOnce(written('data.txt'))
+        .onPost('/batch').replyOnce(503, { error: { message: 'Unavailable' } })
+        .onPost('/batch').reply(written('data.txt'));
+
+      await client.fs.upload({ file, path: '/Uploads', name: 'data.txt', resumable: true, partSize: 6 });
+
+      expect(operations().map(operation => operation.offset)).toEqual([undefined, 6, 6]);
+    });
+
+    it('should not replay the first part, which may pick a deduplicated name', async () => {
+      mockAxios.onPost('/batch').replyOnce(503, { error: { message: 'Unavailable' } })
+        .onPost('/batch').reply(written('data.txt'));
+
+      const error = await client.fs.upload({
+        file,
+        path: '/Uploads',
+        name: 'data.txt',
+        dedupeName: true,
+        resumable: true,
+        partSize: 6
+      }).catch(e => e);
+
+      expect(error.status).toBe(503);
+      expect(error.uploadState.bytesCommitted).toBe(0);
+      expect(mockAxios.history.post).toHaveLength(1);
+    });
+
+    it('should resume from the state of a failed upload', async () => {
+      mockAxios.onPost('/batch').replyOnce(written('data.txt'))
+        .onPost('/batch').replyOnce(500, { error: { message: 'Disk error' } });
+
+      const options = { file, path: '/Uploads', name: 'data.txt', resumable: true, partSize: 4 };
+      const error = await client.fs.upload(options).catch(e => e);
+      expect(error.message).toBe('Disk error');
+      expect(error.uploadState).toEqual({ path: '/Uploads', name: 'data.txt', size: 10, partSize: 4, bytesCommitted: 4 });
+
+      mockAxios.resetHistory();
+      mockAxios.onPost('/batch').reply(written('data.txt'));
+      await client.fs.upload({ ...options, state: error.uploadState });
+      expect(operations().map(operation => operation.offset)).toEqual([4, 8]);
+    });
+
+    it('should fail when the server replaces the file with each part', async () => {
+      mockAxios.onPost('/batch').reply(config => [200, { results: [{ name: 'data.txt', size: config.data.get('file').size }] }]);
+
+      const error = await client.fs.upload({ file, path: '/Uploads', name: 'data.txt', resumable: true, partSize: 4 })
+        .catch(e => e);
+      expect(error.code).toBe('UPLOAD_SIZE_MISMATCH');
+      expect(error.uploadState.bytesCommitted).toBe(4);
+    });
+
+    it('should check the size from the file metadata when the write result has none', async () => {
+      mockAxios.onPost('/batch').reply(200, { results: [{ name: 'data.txt' }] });
+      mockAxios.onPost('/stat').replyOnce(200, { size: 6 }).onPost('/stat').replyOnce(200, { size: 4 });
+
+      const error = await client.fs.upload({ file, path: '/Uploads', name: 'data.txt', resumable: true, partSize: 6 })
+        .catch(e => e);
+      expect(error.code).toBe('UPLOAD_SIZE_MISMATCH');
+      expect(JSON.parse(mockAxios.history.post[1].data)).toEqual({ path: '/Uploads/data.txt' });
+    });
+
+    it('should reject a state of another file', async () => {
+      await expect(client.fs.upload({
+        file,
+        path: '/Uploads',
+        name: 'data.txt',
+        resumable: true,
+        state: { path: '/Uploads', name: 'data.txt', size: 99, partSize: 4, bytesCommitted: 4 }
+      })).rejects.toThrow('Upload state does not match the file being uploaded');
+    });
+
+    it('should report progress and honour AbortSignal in single requests', async () => {
+      mockAxios.onPost('/batch').reply(written('data.txt'));
+      const progress = [];
+      await client.fs.upload({ file, path: '/Uploads', name: 'data.txt', onProgress: event => progress.push(event) });
+      expect(progress.pop()).toMatchObject({ loaded: 10, total: 10 });
+
+      const controller = new AbortController();
+      controller.abort();
+      const error = await client.fs.upload({ file, path: '/Uploads', name: 'data.txt', signal: controller.signal })
+        .catch(e => e);
+      expect(error.code).toBe('ABORTED');
+    });
+  });
+
+  describe('Writing Files', () => {
+    const written = { uid: 'file-1', name: 'notes.txt', path: '/Documents/notes.txt', size: 5 };
+
+    it('should write a string', async () => {
+      mockAxios.onPost('/batch').reply(200, { results: [written] });
+
+      const result = await client.fs.write('/Documents/notes.txt', 'hello');
+      expect(result).toEqual(written);
+
+      const form = mockAxios.history.post[0].data;
+      expect(form).toBeInstanceOf(FormData);
+      expect(JSON.parse(form.get('fileinfo'))).toEqual({ name: 'notes.txt', type: 'text/plain', size: 5 });
+      expect(JSON.parse(form.get('operation'))).toEqual({
+        op: 'write',
+        path: '/Documents',
+        name: 'notes.txt',
+        overwrite: true,
+        dedupe_name: false,
+        create_missing_parents: true
+      });
+      expect(await form.get('file').text()).toBe('hello');
+      expect([...form.keys()]).toEqual(['operation_id', 'fileinfo', 'operation', 'file']);
+    });
+
+    it('should write Buffers and pass write options', async () => {
+      mockAxios.onPost('/batch').reply(200, { results: [written] });
+
+      await client.fs.write('/photo.PNG', Buffer.from([1, 2, 3]), {
+        overwrite: false,
+        dedupeName: true,
+        createParents: false
+      });
+
+      const form = mockAxios.history.post[0].data;
+      expect(JSON.parse(form.get('fileinfo'))).toEqual({ name: 'photo.PNG', type: 'image/png', size: 3 });
+      expect(JSON.parse(form.get('operation'))).toMatchObject({
+        path: '/',
+        overwrite: false,
+        dedupe_name: true,
+        create_missing_parents: false
+      });
+    });
+
+    it('should write streams with an explicit content type', async () => {
+      mockAxios.onPost('/batch').reply(200, { results: [written] });
+
+      await client.fs.write('/data.bin', Readable.from([Buffer.from('ab'), 'cd']), { contentType: 'application/x-custom' });
+
+      const form = mockAxios.history.post[0].data;
+      expect(form.get('file').type).toBe('application/x-custom');
+      expect(await form.get('file').text()).toBe('abcd');
+    });
+
+    it('should reject unsupported data', async () => {
+      await expect(client.fs.write('/file.txt', 42)).rejects.toThrow('Unsupported data type');
+      await expect(client.fs.write('/Documents/', 'x')).rejects.toThrow('A file path is required');
+    });
+
+    it('should write to path references and existing files by UID', async () => {
+      mockAxios.onPost('/stat').reply(200, written);
+      mockAxios.onPost('/batch').reply(200, { results: [written] });
+
+      await client.fs.write({ path: '/Documents/a.txt' }, 'x');
+      await client.fs.write({ uid: 'file-1' }, 'y');
+
+      expect(JSON.parse(mockAxios.history.post[1].data)).toEqual({ uid: 'file-1' });
+      const operations = [0, 2].map(index => JSON.parse(mockAxios.history.post[index].data.get('operation')));
+      expect(operations.map(({ path, name }) => ({ path, name }))).toEqual([
+        { path: '/Documents', name: 'a.txt' },
+        { path: '/Documents', name: 'notes.txt' }
+      ]);
+    });
+  });
+
+  describe('Reading Files', () => {
+    it('should read a file as a Buffer', async () => {
+      mockAxios.onGet('/read').reply(200, Buffer.from('hello world'));
+
+      const data = await client.fs.read('/test.txt');
+      expect(Buffer.isBuffer(data)).toBe(true);
+      expect(data.toString()).toBe('hello world');
+      expect(mockAxios.history.get[0].params).toEqual({ file: '/test.txt' });
+      expect(mockAxios.history.get[0].responseType).toBe('arraybuffer');
+    });
+
+    it('should read text and JSON', async () => {
+      mockAxios.onGet('/read', { params: { file: '/notes.txt' } }).reply(200, Buffer.from('Grüße'));
+      mockAxios.onGet('/read', { params: { file: '/settings.json' } }).reply(200, Buffer.from('{"theme":"dark"}'));
+
+      await expect(client.fs.readText('/notes.txt')).resolves.toBe('Grüße');
+      await expect(client.fs.read('/settings.json', { as: 'json' })).resolves.toEqual({ theme: 'dark' });
+    });
+
+    it('should send range reads as offset and byte_count', async () => {
+      mockAxios.onGet('/read').reply(200, Buffer.from('lo'));
+
+      await client.fs.read('/test.txt', { offset: 3, length: 2 });
+      expect(mockAxios.history.get[0].params).toEqual({ file: '/test.txt', offset: 3, byte_count: 2 });
+    });
+
+    it('should return a stream', async () => {
+      const body = new PassThrough();
+      mockAxios.onGet('/read').reply(200, body);
+
+      await expect(client.fs.read('/video.mp4', { as: 'stream' })).resolves.toBe(body);
+      expect(mockAxios.history.get[0].responseType).toBe('stream');
+    });
+
+    it('should reject unsupported formats', async () => {
+      await expect(client.fs.read('/test.txt', { as: 'blob' })).rejects.toThrow('Unsupported read format: blob');
+    });
+
+    it('should parse errors returned as binary bodies', async () => {
+      mockAxios.onGet('/read').reply(404, Buffer.from(JSON.stringify({
+        error: { code: 'subject_does_not_exist', message: 'File not found' }
+      })));
+
+      const error = await client.fs.read('/missing.txt').catch(e => e);
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.message).toBe('File not found');
+    });
+
+    it('should download a file to disk', async () => {
+      const body = new PassThrough();
+      mockAxios.onGet('/read').reply(() => {
+        setTimeout(() => body.end('downloaded content'));
+        return [200, body];
+      });
+
+      const dir = mkdtempSync(join(tmpdir(), 'puter-sdk-'));
+      const localPath = join(dir, 'file.txt');
+      try {
+        await expect(client.fs.download('/file.txt', localPath)).resolves.toBe(localPath);
+        expect(readFileSync(localPath, 'utf8')).toBe('downloaded content');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('UID Addressing', () => {
+    const item = { uid: 'file-1', name: 'report.pdf', path: '/Documents/report.pdf' };
+
+    it('should address items by UID', async () => {
+      mockAxios.onPost('/stat').reply(200, item);
+      mockAxios.onPost('/readdir').reply(200, []);
+      mockAxios.onPost('/rename').reply(200, { ...item, name: 'final.pdf' });
+      mockAxios.onPost('/copy').reply(200, [{ copied: item }]);
+      mockAxios.onPost('/delete').reply(200, {});
+      mockAxios.onGet('/read').reply(200, Buffer.from('pdf'));
+
+      await client.fs.resolve({ uid: 'file-1' });
+      await client.fs.readdir({ uid: 'dir-1' });
+      await client.fs.rename(item, 'final.pdf');
+      await client.fs.copy({ uid: 'file-1' }, { path: '/Backups' });
+      await client.fs.delete([item, '/tmp/old.txt'], { recursive: false });
+      await client.fs.read({ uid: 'file-1' });
+
+      expect(mockAxios.history.post.map(request => [request.url, JSON.parse(request.data)])).toEqual([
+        ['/stat', { uid: 'file-1' }],
+        ['/readdir', { uid: 'dir-1' }],
+        ['/rename', { uid: 'file-1', new_name: 'final.pdf' }],
+        ['/copy', { source: 'file-1', destination: '/Backups', overwrite: false, dedupe_name: false }],
+        ['/delete', { paths: ['file-1', '/tmp/old.txt'], recursive: false }]
+      ]);
+      expect(mockAxios.history.get[0].params).toEqual({ file: 'file-1' });
+    });
+
+    it('should resolve a UID before walking or touching', async () => {
+      mockAxios.onPost('/stat', { uid: 'dir-1' }).reply(200, { uid: 'dir-1', path: '/Documents', is_dir: true });
+      mockAxios.onPost('/stat', { path: '/Documents' }).reply(200, { uid: 'dir-1', path: '/Documents', is_dir: true });
+      mockAxios.onPost('/readdir', { path: '/Documents' }).reply(200, [{ name: 'a.txt', is_dir: false }]);
+      mockAxios.onPost('/touch').reply(200, {});
+
+      const entries = [];
+      for await (const entry of client.fs.walk({ uid: 'dir-1' })) entries.push(entry.path);
+      expect(entries).toEqual(['/Documents/a.txt']);
+
+      await client.fs.touch({ uid: 'dir-1' });
+      expect(JSON.parse(mockAxios.history.post.find(request => request.url === '/touch').data).path).toBe('/Documents');
+    });
+
+    it('should reject targets without a path or UID', async () => {
+      await expect(client.fs.getInfo({ name: 'report.pdf' })).rejects.toThrow('A path or UID is required');
+    });
+  });
+
+  describe('Delete and Trash', () => {
+    it('should delete several items recursively', async () => {
+      mockAxios.onPost('/delete').reply(200, {});
+
+      await client.fs.delete(['/tmp/build', '/tmp/cache'], { recursive: true });
+      expect(mockAxios.history.post[0].data).toEqual(JSON.stringify({
+        paths: ['/tmp/build', '/tmp/cache'],
+        recursive: true
+      }));
+      await expect(client.fs.delete([])).rejects.toThrow('Path is required');
+    });
+
+    it('should move an item to the Trash and restore it', async () => {
+      mockAxios.onGet('/whoami').reply(200, { username: 'alice' });
+      mockAxios.onPost('/stat', { path: '/Documents/report.pdf' }).reply(200, {
+        uid: 'file-1',
+        name: 'report.pdf',
+        path: '/alice/Documents/report.pdf'
+      });
+      mockAxios.onPost('/stat', { uid: 'file-1' }).reply(200, {
+        uid: 'file-1',
+        path: '/alice/Trash/file-1',
+        metadata: JSON.stringify({ original_name: 'report.pdf', original_path: '/alice/Documents/report.pdf' })
+      });
+      mockAxios.onPost('/move').reply(config => {
+        const body = JSON.parse(config.data);
+        return [200, { moved: { uid: 'file-1', path: `${body.destination}/${body.new_name}` } }];
+      });
+
+      const trashed = await client.fs.trash('/Documents/report.pdf');
+      expect(trashed.path).toBe('/alice/Trash/file-1');
+      const trashMove = JSON.parse(mockAxios.history.post.find(request => request.url === '/move').data);
+      expect(trashMove).toMatchObject({
+        source: 'file-1',
+        destination: '/alice/Trash',
+        new_name: 'file-1',
+        new_metadata: { original_name: 'report.pdf', original_path: '/alice/Documents/report.pdf' }
+      });
+      expect(trashMove.new_metadata.trashed_ts).toBeTypeOf('number');
+
+      const restored = await client.fs.restore('file-1');
+      expect(restored.path).toBe('/alice/Documents/report.pdf');
+      expect(JSON.parse(mockAxios.history.post.filter(request => request.url === '/move')[1].data)).toMatchObject({
+        source: 'file-1',
+        destination: '/alice/Documents',
+        new_name: 'report.pdf',
+        create_missing_parents: true,
+        new_metadata: {}
+      });
+    });
+
+    it('should keep the other metadata of trashed items', async () => {
+      mockAxios.onGet('/whoami').reply(200, { username: 'alice' });
+      mockAxios.onPost('/stat', { path: '/notes.txt' }).reply(200, {
+        uid: 'file-2',
+        name: 'notes.txt',
+        path: '/alice/notes.txt',
+        metadata: { sha256: 'abc' }
+      });
+      mockAxios.onPost('/stat', { uid: 'file-2' }).reply(200, {
+        uid: 'file-2',
+        metadata: { sha256: 'abc', original_name: 'notes.txt', original_path: '/alice/notes.txt', trashed_ts: 1 }
+      });
+      mockAxios.onPost('/move').reply(200, { moved: { uid: 'file-2' } });
+
+      await client.fs.trash('/notes.txt');
+      await client.fs.restore('file-2');
+
+      const [trashMove, restoreMove] = mockAxios.history.post
+        .filter(request => request.url === '/move')
+        .map(request => JSON.parse(request.data));
+      expect(trashMove.new_metadata).toMatchObject({ sha256: 'abc', original_path: '/alice/notes.txt' });
+      expect(restoreMove.new_metadata).toEqual({ sha256: 'abc' });
+    });
+
+    it('should refuse to restore items that were not trashed', async () => {
+      mockAxios.onPost('/stat').reply(200, { uid: 'file-2', path: '/alice/notes.txt', metadata: null });
+      await expect(client.fs.restore('file-2')).rejects.toThrow('Item is not in the Trash');
+    });
+
+    it('should empty the Trash', async () => {
+      mockAxios.onGet('/whoami').reply(200, { username: 'alice' });
+      mockAxios.onPost('/delete').reply(200, {});
+
+      await client.fs.emptyTrash();
+      expect(mockAxios.history.post[0].data).toEqual(JSON.stringify({
+        paths: ['/alice/Trash'],
+        recursive: true,
+        descendants_only: true
+      }));
+    });
+  });
+
+  describe('Integrity', () => {
+    const HELLO = '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824';
+    let dir;
+
+    const replyWith = contents => () => {
+      const body = new PassThrough();
+      body.end(contents);
+      return [200, body];
+    };
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'puter-verify-'));
+      writeFileSync(join(dir, 'local.txt'), 'hello');
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should return the digest of written and uploaded files', async () => {
+      mockAxios.onPost('/batch').reply(200, { results: [{ uid: 'file-1' }] });
+
+      const item = await client.fs.write('/notes.txt', 'hello', { sha256: true });
+      expect(item).toEqual({ uid: 'file-1', sha256: HELLO });
+
+      const upload = await client.fs.upload({ file: new Blob(['hello']), path: '/', name: 'notes.txt', sha256: true });
+      expect(upload.sha256).toBe(HELLO);
+    });
+
+    it('should hash downloads and reject mismatches', async () => {
+      mockAxios.onGet('/read').replyOnce(replyWith('hello')).onGet('/read').replyOnce(replyWith('hellO'));
+
+      const result = await client.fs.download('/notes.txt', join(dir, 'a.txt'), { sha256: true });
+      expect(result).toEqual({ path: join(dir, 'a.txt'), sha256: HELLO });
+
+      const target = join(dir, 'b.txt');
+      await expect(client.fs.download('/notes.txt', target, { sha256: HELLO }))
+        .rejects.toMatchObject({ code: 'INTEGRITY_MISMATCH' });
+      expect(existsSync(target)).toBe(false);
+    });
+
+    it('should verify a remote file against a local one', async () => {
+      mockAxios.onPost('/stat').reply(200, { uid: 'file-1', size: 5 });
+      mockAxios.onGet('/read').replyOnce(replyWith('hello')).onGet('/read').replyOnce(replyWith('hellO'));
+
+      await expect(client.fs.verify(join(dir, 'local.txt'), '/notes.txt')).resolves.toEqual({
+        match: true,
+        reason: null,
+        localSize: 5,
+        remoteSize: 5,
+        localHash: HELLO,
+        remoteHash: HELLO
+      });
+      const report = await client.fs.verify(join(dir, 'local.txt'), '/notes.txt');
+      expect(report).toMatchObject({ match: false, reason: 'checksum' });
+    });
+
+    it('should only trust a stored digest recorded for the current contents', async () => {
+      const metadata = JSON.stringify({ sha256: HELLO, size: 5, modified: 1700000000 });
+      mockAxios.onPost('/stat').replyOnce(200, { uid: 'file-1', size: 5, modified: 1700000000, metadata })
+        .onPost('/stat').reply(200, { uid: 'file-1', size: 5, modified: 1700000100, metadata });
+      mockAxios.onGet('/read').reply(replyWith('hellO'));
+
+      const stored = await client.fs.verify(join(dir, 'local.txt'), '/notes.txt', { storedHash: true });
+      expect(stored).toMatchObject({ match: true, remoteHash: HELLO });
+      expect(mockAxios.history.get).toHaveLength(0);
+
+      // Overwritten since the digest was stored
+      const changed = await client.fs.verify(join(dir, 'local.txt'), '/notes.txt', { storedHash: true });
+      expect(changed).toMatchObject({ match: false, reason: 'checksum' });
+      const read = await client.fs.verify(join(dir, 'local.txt'), '/notes.txt');
+      expect(read).toMatchObject({ match: false, reason: 'checksum' });
+      expect(mockAxios.history.get).toHaveLength(2);
+    });
+
+    it('should report size mismatches without hashing', async () => {
+      mockAxios.onPost('/stat').reply(200, { uid: 'file-1', size: 6 });
+
+      const report = await client.fs.verify(join(dir, 'local.txt'), '/notes.txt');
+      expect(report).toEqual({ match: false, reason: 'size', localSize: 5, remoteSize: 6 });
+      expect(mockAxios.history.get).toHaveLength(0);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle file not found error', async () => {
       mockAxios.onPost('/stat').reply(404, {
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { globToRegExp, globBase, hasGlob } from '../../src/glob';
+
+describe('Glob Patterns', () => {
+  it('should match single-segment wildcards', () => {
+    const regex = globToRegExp('/Documents/*.md');
+    expect(regex.test('/Documents/notes.md')).toBe(true);
+    expect(regex.test('/Documents/sub/notes.md')).toBe(false);
+    expect(regex.test('/Documents/notes.mdx')).toBe(false);
+  });
+
+  it('should match any depth with **', () => {
+    const regex = globToRegExp('/Documents/**/*.md');
+    expect(regex.test('/Documents/notes.md')).toBe(true);
+    expect(regex.test('/Documents/a/b/c/notes.md')).toBe(true);
+    expect(regex.test('/Other/notes.md')).toBe(false);
+  });
+
+  it('should support ?, character classes and alternatives', () => {
+    expect(globToRegExp('/logs/day?.txt').test('/logs/day1.txt')).toBe(true);
+    expect(globToRegExp('/logs/day[0-2].txt').test('/logs/day3.txt')).toBe(false);
+    expect(globToRegExp('/logs/day[!0-2].txt').test('/logs/day3.txt')).toBe(true);
+    expect(globToRegExp('/img/*.{png,jpg}').test('/img/cat.jpg')).toBe(true);
+    expect(globToRegExp('/img/*.{png,jpg}').test('/img/cat.gif')).toBe(false);
+    expect(globToRegExp('/a+b/(x).txt').test('/a+b/(x).txt')).toBe(true);
+  });
+
+  it('should find the base directory and depth', () => {
+    expect(globBase('/Documents/*/notes.md')).toEqual({ base: '/Documents', depth: 2 });
+    expect(globBase('/Documents/**/*.md')).toEqual({ base: '/Documents', depth: Infinity });
+    expect(globBase('/*.txt')).toEqual({ base: '/', depth: 1 });
+    expect(hasGlob('/Documents/notes.md')).toBe(false);
+  });
+});
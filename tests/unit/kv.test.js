@@ -1,5 +1,5 @@
-import { describe, expect, it, beforeEach } from 'vitest';
-import PuterClient from '../../src/index';
+import { describe, expect, it, beforeEach, afterEach, vi } from 'vitest';
+import PuterClient, { codecs, ConflictError } from '../../src/index';
 import { mockAxios } from '../mocks/axios';
 
 describe('Key/Value Storage', () => {
@@ -160,6 +160,479 @@ describe('Key/Value Storage', () => {
     });
   });
 
+  describe('Bulk Operations', () => {
+    const calls = () => mockAxios.history.post.map(request => JSON.parse(request.data).args);
+
+    it('should get several keys in one multi-key call', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, { success: true, result: ['dark', null] });
+
+      const entries = await client.kv.mget(['theme', 'lang']);
+      expect(entries).toEqual([{ key: 'theme', value: 'dark' }, { key: 'lang', value: null }]);
+      expect(calls()).toEqual([{ key: ['theme', 'lang'] }]);
+    });
+
+    it('should fall back to single gets when multi-key calls are not supported', async () => {
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { key } = JSON.parse(config.data).args;
+        if (Array.isArray(key)) {
+          return [200, { success: false, error: { code: 'field_invalid', message: 'key must be a string' } }];
+        }
+        return key === 'broken'
+          ? [500, { error: { code: 'KV_ERROR', message: 'Storage error' } }]
+          : [200, { success: true, result: `value of ${key}` }];
+      });
+
+      const entries = await client.kv.mget(['a', 'broken', 'b'], { concurrency: 2 });
+      expect(entries.map(({ key, value }) => [key, value])).toEqual([
+        ['a', 'value of a'],
+        ['broken', null],
+        ['b', 'value of b']
+      ]);
+      expect(entries[1].error.message).toBe('Storage error');
+
+      // The fallback is remembered
+      await client.kv.mget(['c']);
+      expect(calls().at(-1)).toEqual({ key: 'c' });
+    });
+
+    it('should fall back to single gets when the driver reports a missing method', async () => {
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { key } = JSON.parse(config.data).args;
+        return Array.isArray(key)
+          ? [404, { error: { code: 'method_not_found', message: 'No such method' } }]
+          : [200, { success: true, result: `value of ${key}` }];
+      });
+
+      const entries = await client.kv.mget(['a', 'b']);
+      expect(entries.map(({ value }) => value)).toEqual(['value of a', 'value of b']);
+    });
+
+    it('should set and delete several keys with per-key results', async () => {
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { key } = JSON.parse(config.data).args;
+        return key === 'b'
+          ? [500, { error: { code: 'KV_ERROR', message: 'Storage error' } }]
+          : [200, { success: true, result: true }];
+      });
+
+      const set = await client.kv.mset({ a: 1, b: 2 });
+      expect(set.map(({ key, success }) => [key, success])).toEqual([['a', true], ['b', false]]);
+      expect(calls()).toEqual([{ key: 'a', value: 1 }, { key: 'b', value: 2 }]);
+
+      const deleted = await client.kv.mdel(['a', 'b']);
+      expect(deleted[0]).toEqual({ key: 'a', success: true });
+      expect(deleted[1].error.message).toBe('Storage error');
+    });
+
+    it('should validate keys before sending anything', async () => {
+      await expect(client.kv.mget(['ok', ''])).rejects.toThrow('Invalid key');
+      await expect(client.kv.mset([['a'.repeat(1025), 1]])).rejects.toThrow('Key too large');
+      expect(mockAxios.history.post).toHaveLength(0);
+    });
+  });
+
+  describe('Expiration', () => {
+    const NOW = 1700000000000;
+    let store;
+    let expiries;
+    let nativeExpiry;
+
+    beforeEach(() => {
+      vi.spyOn(Date, 'now').mockReturnValue(NOW);
+      store = new Map();
+      expiries = new Map();
+      nativeExpiry = true;
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { method, args } = JSON.parse(config.data);
+        if (['expire', 'expireAt', 'ttl'].includes(method) && !nativeExpiry) {
+          return [200, { success: false, error: { code: 'no_implementation_available', message: 'No such method' } }];
+        }
+        switch (method) {
+          case 'set':
+            store.set(args.key, args.value);
+            return [200, { success: true, result: true }];
+          case 'get':
+            return [200, { success: true, result: store.get(args.key) ?? null }];
+          case 'expire':
+            if (args.ttl > 1e6) {
+              return [200, { success: false, error: { code: 'field_invalid', message: 'TTL too long' } }];
+            }
+            expiries.set(args.key, args.ttl);
+            return [200, { success: true, result: true }];
+          case 'expireAt':
+            expiries.set(args.key, args.timestamp - NOW / 1000);
+            return [200, { success: true, result: true }];
+          case 'ttl':
+            return [200, { success: true, result: expiries.get(args.key) ?? -1 }];
+          default:
+            return [200, { success: false, error: { code: 'method_not_found', message: 'No such method' } }];
+        }
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    const methods = () => mockAxios.history.post.map(request => JSON.parse(request.data).method);
+
+    it('should set a key with a TTL', async () => {
+      await client.kv.set('session', { user: 1 }, { ttl: 60 });
+
+      expect(methods()).toEqual(['set', 'expire']);
+      expect(JSON.parse(mockAxios.history.post[1].data).args).toEqual({ key: 'session', ttl: 60 });
+      // The driver enforces the expiry, so the value is stored as is
+      expect(store.get('session')).toEqual({ user: 1 });
+      expect(await client.kv.get('session')).toEqual({ user: 1 });
+      expect(await client.kv.ttl('session')).toBe(60);
+    });
+
+    it('should hide expired values when the driver cannot expire keys', async () => {
+      nativeExpiry = false;
+      await client.kv.set('cache', 'page', { ttl: 10 });
+      await client.kv.set('other', 'page', { ttl: 10 });
+      // The missing method is only tried once
+      expect(methods()).toEqual(['set', 'expire', 'set', 'set']);
+      expect(await client.kv.ttl('cache')).toBe(10);
+
+      Date.now.mockReturnValue(NOW + 10000);
+      expect(await client.kv.get('cache')).toBeNull();
+      expect(await client.kv.mget(['cache'])).toEqual([{ key: 'cache', value: null }]);
+      expect(await client.kv.ttl('cache')).toBe(-2);
+    });
+
+    it('should expire existing keys', async () => {
+      store.set('counter', 5);
+
+      await expect(client.kv.expireAt('counter', new Date(NOW + 30000))).resolves.toBe(true);
+      expect(JSON.parse(mockAxios.history.post.at(-1).data)).toMatchObject({
+        method: 'expireAt',
+        args: { key: 'counter', timestamp: 1700000030 }
+      });
+      expect(store.get('counter')).toBe(5);
+      expect(await client.kv.ttl('counter')).toBe(30);
+
+      await expect(client.kv.expire('missing', 10)).resolves.toBe(false);
+    });
+
+    it('should store the expiry with the value when the driver cannot expire keys', async () => {
+      nativeExpiry = false;
+      store.set('counter', 5);
+
+      await expect(client.kv.expire('counter', 30)).resolves.toBe(true);
+      expect(await client.kv.get('counter')).toBe(5);
+      expect(await client.kv.ttl('counter')).toBe(30);
+    });
+
+    it('should keep native expiry after the driver rejects a TTL', async () => {
+      store.set('counter', 5);
+
+      await expect(client.kv.expire('counter', 1e9)).rejects.toMatchObject({ code: 'field_invalid' });
+      await client.kv.expire('counter', 30);
+      expect(store.get('counter')).toBe(5);
+      expect(expiries.get('counter')).toBe(30);
+    });
+
+    it('should report keys without expiry', async () => {
+      store.set('plain', 'value');
+      expect(await client.kv.ttl('plain')).toBe(-1);
+      expect(await client.kv.ttl('missing')).toBe(-2);
+      await expect(client.kv.set('plain', 'value', { ttl: 0 })).rejects.toThrow('TTL must be a positive number of seconds');
+    });
+  });
+
+  describe('Namespaces', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new Map([['other:1', 'x']]);
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { method, args } = JSON.parse(config.data);
+        switch (method) {
+          case 'set':
+            store.set(args.key, args.value);
+            return [200, { success: true, result: true }];
+          case 'get':
+            return [200, { success: true, result: store.get(args.key) ?? null }];
+          case 'del':
+            store.delete(args.key);
+            return [200, { success: true, result: true }];
+          case 'list': {
+            const prefix = args.pattern.replace(/\*$/, '');
+            return [200, { success: true, result: [...store.keys()].filter(key => key.startsWith(prefix)) }];
+          }
+          default:
+            return [200, { success: false, error: { code: 'field_invalid', message: 'Unsupported' } }];
+        }
+      });
+    });
+
+    it('should scope keys, listing and clearing to the namespace', async () => {
+      const sessions = client.kv.namespace('sessions');
+      await sessions.set('1', { user: 'alice' });
+      await sessions.set('2', { user: 'bob' });
+
+      expect([...store.keys()]).toEqual(['other:1', 'sessions:1', 'sessions:2']);
+      expect(await sessions.get('1')).toEqual({ user: 'alice' });
+      expect(await sessions.list()).toEqual(['1', '2']);
+      expect((await sessions.mget(['2', '3'])).map(({ key, value }) => [key, value])).toEqual([['2', { user: 'bob' }], ['3', null]]);
+
+      await expect(sessions.clear()).resolves.toBe(2);
+      expect([...store.keys()]).toEqual(['other:1']);
+    });
+
+    it('should nest namespaces', async () => {
+      await client.kv.namespace('app').namespace('cache').set('home', 'html');
+      expect(store.get('app:cache:home')).toBe('html');
+      expect(() => client.kv.namespace('bad*')).toThrow('Invalid namespace');
+    });
+
+    it('should round-trip Dates and BigInts with codecs', async () => {
+      const events = client.kv.namespace('events', { codec: codecs.typed });
+      const at = new Date('2024-05-01T10:00:00.000Z');
+      await events.set('launch', { at, views: 12345678901234567890n, tags: ['a'] });
+
+      expect(store.get('events:launch')).toEqual({
+        at: { $date: '2024-05-01T10:00:00.000Z' },
+        views: { $bigint: '12345678901234567890' },
+        tags: ['a']
+      });
+      const value = await events.get('launch');
+      expect(value.at).toBeInstanceOf(Date);
+      expect(value.at.getTime()).toBe(at.getTime());
+      expect(value.views).toBe(12345678901234567890n);
+
+      const dates = client.kv.namespace('dates', { codec: codecs.date });
+      await dates.mset({ today: at });
+      expect((await dates.mget(['today']))[0].value).toEqual(at);
+    });
+  });
+
+  describe('Scanning', () => {
+    const args = () => mockAxios.history.post.map(request => JSON.parse(request.data).args);
+
+    it('should cut full listings into pages', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, { success: true, result: ['a', 'b', 'c'] });
+
+      const first = await client.kv.scan({ pattern: 'user:*', limit: 2 });
+      expect(first).toEqual({ items: ['a', 'b'], cursor: 'sdk:2' });
+      const second = await client.kv.scan({ pattern: 'user:*', limit: 2, cursor: first.cursor });
+      expect(second).toEqual({ items: ['c'], cursor: null });
+
+      expect(args()).toEqual([
+        { pattern: 'user:*', limit: 2 },
+        { pattern: 'user:*', limit: 2 }
+      ]);
+    });
+
+    it('should read the values of each page when the driver lists only keys', async () => {
+      const values = { a: 1, b: 2, c: 3 };
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { method, args } = JSON.parse(config.data);
+        return [200, {
+          success: true,
+          result: method === 'list' ? ['a', 'b', 'c'] : args.key.map(key => values[key] ?? null)
+        }];
+      });
+
+      const first = await client.kv.scan({ returnValues: true, limit: 2 });
+      expect(first).toEqual({ items: [{ key: 'a', value: 1 }, { key: 'b', value: 2 }], cursor: 'sdk:2' });
+      // Deleted since the listing
+      delete values.c;
+      const second = await client.kv.scan({ returnValues: true, limit: 2, cursor: first.cursor });
+      expect(second).toEqual({ items: [], cursor: null });
+
+      expect(args()).toEqual([
+        { pattern: '*', return_values: true, limit: 2 },
+        { key: ['a', 'b'] },
+        // Values are no longer requested with the full listing
+        { pattern: '*', limit: 2 },
+        { key: ['c'] }
+      ]);
+    });
+
+    it('should fetch a full listing once per iteration', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, { success: true, result: ['a', 'b', 'c'] });
+
+      const keys = [];
+      for await (const key of client.kv.scanIterator({ limit: 1 })) {
+        keys.push(key);
+      }
+      expect(keys).toEqual(['a', 'b', 'c']);
+      expect(mockAxios.history.post).toHaveLength(1);
+    });
+
+    it('should follow driver cursors and return values', async () => {
+      mockAxios.onPost('/drivers/call')
+        .replyOnce(200, { success: true, result: { items: [{ key: 'a', value: 1 }], cursor: 'c1' } })
+        .onPost('/drivers/call')
+        .replyOnce(200, {
+          success: true,
+          result: {
+            items: [
+              { key: 'b', value: { __puter_sdk_kv__: 1, value: 2, expiresAt: Date.now() + 60000 } },
+              { key: 'old', value: { __puter_sdk_kv__: 1, value: 3, expiresAt: 1 } }
+            ],
+            cursor: null
+          }
+        });
+
+      const entries = [];
+      for await (const entry of client.kv.scanIterator({ returnValues: true, limit: 1 })) {
+        entries.push(entry);
+      }
+      expect(entries).toEqual([{ key: 'a', value: 1 }, { key: 'b', value: 2 }]);
+      expect(args()).toEqual([
+        { pattern: '*', return_values: true, limit: 1 },
+        { pattern: '*', return_values: true, limit: 1, cursor: 'c1' }
+      ]);
+    });
+
+    it('should scan namespaces', async () => {
+      mockAxios.onPost('/drivers/call').reply(200, {
+        success: true,
+        result: [{ key: 'events:launch', value: { at: { $date: '2024-05-01T10:00:00.000Z' } } }]
+      });
+
+      const events = client.kv.namespace('events', { codec: codecs.date });
+      const page = await events.scan({ returnValues: true });
+      expect(page.items[0].key).toBe('launch');
+      expect(page.items[0].value.at).toBeInstanceOf(Date);
+      expect(args()[0].pattern).toBe('events:*');
+    });
+  });
+
+  describe('Compare and Set', () => {
+    let store;
+    let expiries;
+    let lockHeld;
+    let failDeletes;
+    let nativeExpiry;
+
+    beforeEach(() => {
+      store = new Map();
+      expiries = new Map();
+      lockHeld = false;
+      failDeletes = false;
+      nativeExpiry = true;
+      mockAxios.onPost('/drivers/call').reply(config => {
+        const { method, args } = JSON.parse(config.data);
+        if (['expire', 'ttl'].includes(method) && !nativeExpiry) {
+          return [200, { success: false, error: { code: 'method_not_found', message: 'No such method' } }];
+        }
+        switch (method) {
+          case 'set':
+            // Like Redis, writing a key clears its expiry
+            store.set(args.key, args.value);
+            expiries.delete(args.key);
+            return [200, { success: true, result: true }];
+          case 'get':
+            return [200, { success: true, result: store.get(args.key) ?? null }];
+          case 'del':
+            if (failDeletes) {
+              return [503, { error: { message: 'Unavailable' } }];
+            }
+            store.delete(args.key);
+            return [200, { success: true, result: true }];
+          case 'list':
+            return [200, { success: true, result: [...store.keys()] }];
+          case 'expire':
+            expiries.set(args.key, args.ttl);
+            return [200, { success: true, result: true }];
+          case 'ttl':
+            return [200, { success: true, result: expiries.get(args.key) ?? -1 }];
+          case 'incr': {
+            const value = (store.get(args.key) || 0) + args.amount + (lockHeld ? 1 : 0);
+            store.set(args.key, value);
+            return [200, { success: true, result: value }];
+          }
+          default:
+            return [200, { success: true, result: true }];
+        }
+      });
+    });
+
+    it('should write only at the expected version', async () => {
+      expect(await client.kv.getVersioned('stock')).toEqual({ value: null, version: 0 });
+
+      await expect(client.kv.cas('stock', 0, 10)).resolves.toBe(true);
+      expect(await client.kv.getVersioned('stock')).toEqual({ value: 10, version: 1 });
+      expect(await client.kv.get('stock')).toBe(10);
+
+      await expect(client.kv.cas('stock', 0, 99)).resolves.toBe(false);
+      expect(await client.kv.get('stock')).toBe(10);
+      // The lock is released either way
+      expect([...store.keys()]).toEqual(['stock']);
+    });
+
+    it('should refuse to write while another client holds the lock', async () => {
+      lockHeld = true;
+      await expect(client.kv.cas('stock', 0, 10)).resolves.toBe(false);
+      expect(store.has('stock')).toBe(false);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should take over a lock that could not be released', async () => {
+      client = new PuterClient({ token: 'test-token', retry: false });
+      nativeExpiry = false;
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now);
+
+      failDeletes = true;
+      await expect(client.kv.cas('stock', 0, 10)).resolves.toBe(true);
+      failDeletes = false;
+      // The lock is left behind, but hidden from listings
+      expect(store.size).toBe(3);
+      expect(await client.kv.list()).toEqual(['stock']);
+      expect((await client.kv.scan()).items).toEqual(['stock']);
+      await expect(client.kv.cas('stock', 1, 9)).resolves.toBe(false);
+
+      Date.now.mockReturnValue(now + 10001);
+      await expect(client.kv.update('stock', value => value - 1)).resolves.toBe(9);
+      expect(await client.kv.getVersioned('stock')).toEqual({ value: 9, version: 2 });
+      expect([...store.keys()]).toEqual(['stock']);
+    });
+
+    it('should keep the native expiry of updated keys', async () => {
+      await client.kv.set('session', { hits: 0 }, { ttl: 60 });
+      expiries.set('session', 42);
+
+      await client.kv.update('session', session => ({ hits: session.hits + 1 }));
+      expect(await client.kv.get('session')).toEqual({ hits: 1 });
+      expect(expiries.get('session')).toBe(42);
+    });
+
+    it('should apply concurrent updates without losing any', async () => {
+      await Promise.all([
+        client.kv.update('counter', value => (value || 0) + 1),
+        client.kv.update('counter', value => (value || 0) + 1),
+        client.kv.update('counter', value => (value || 0) + 1)
+      ]);
+      expect(await client.kv.getVersioned('counter')).toEqual({ value: 3, version: 3 });
+    });
+
+    it('should throw a conflict error once retries are exhausted', async () => {
+      lockHeld = true;
+      const error = await client.kv.update('counter', value => value + 1, { retries: 1 }).catch(error => error);
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.code).toBe('CAS_CONFLICT');
+    });
+
+    it('should update namespaced values through the codec', async () => {
+      const events = client.kv.namespace('events', { codec: codecs.date });
+      const at = new Date('2024-05-01T10:00:00.000Z');
+      await events.update('launch', () => ({ at }));
+
+      const { value, version } = await events.getVersioned('launch');
+      expect(value.at).toEqual(at);
+      expect(version).toBe(1);
+      expect(store.get('events:launch').value).toEqual({ at: { $date: '2024-05-01T10:00:00.000Z' } });
+    });
+  });
+
   describe('Error Handling', () => {
     it('should throw error for invalid key', async () => {
       await expect(client.kv.set('', 'value'))
@@ -0,0 +1,80 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reply after a delay so requests overlap
+const delayedReply = (data, ms = 30) => () => sleep(ms).then(() => [200, data]);
+
+describe('Rate Limiting and Concurrency', () => {
+  beforeEach(() => {
+    mockAxios.reset();
+  });
+
+  it('should cap concurrent requests and report queued ones', async () => {
+    const client = new PuterClient({ token: 'test-token', maxConcurrent: 2 });
+    mockAxios.onPost('/drivers/call').reply(delayedReply({ success: true, result: 'v' }));
+
+    const pending = Promise.all(['a', 'b', 'c', 'd', 'e'].map(key => client.kv.get(key)));
+    await sleep(5);
+
+    expect(client.stats()).toMatchObject({ active: 2, queued: 3, completed: 0 });
+
+    await expect(pending).resolves.toEqual(['v', 'v', 'v', 'v', 'v']);
+    expect(client.stats()).toEqual({
+      active: 0,
+      queued: 0,
+      completed: 5,
+      interfaces: {
+        'puter-kvstore': { active: 0, queued: 0, completed: 5 }
+      }
+    });
+  });
+
+  it('should apply limits per driver interface', async () => {
+    const client = new PuterClient({
+      token: 'test-token',
+      interfaceLimits: { 'puter-kvstore': { maxConcurrent: 1 } }
+    });
+    mockAxios.onPost('/drivers/call').reply(delayedReply({ success: true, result: 1 }));
+    mockAxios.onPost('/readdir').reply(delayedReply([]));
+
+    const pending = Promise.all([
+      client.kv.get('a'),
+      client.kv.get('b'),
+      client.fs.readdir('/'),
+      client.fs.readdir('/other')
+    ]);
+    await sleep(5);
+
+    const stats = client.stats();
+    expect(stats.active).toBe(3);
+    expect(stats.interfaces['puter-kvstore']).toEqual({ active: 1, queued: 1, completed: 0 });
+
+    await pending;
+  });
+
+  it('should release slots on errors', async () => {
+    const client = new PuterClient({ token: 'test-token', maxConcurrent: 1, retry: false });
+    mockAxios.onPost('/drivers/call').reply(500, { error: { message: 'Storage error' } });
+
+    await expect(client.kv.get('a')).rejects.toThrow('Storage error');
+    await expect(client.kv.get('b')).rejects.toThrow('Storage error');
+    expect(client.stats()).toMatchObject({ active: 0, queued: 0, completed: 2 });
+  });
+
+  it('should throttle with a token bucket', async () => {
+    const client = new PuterClient({
+      token: 'test-token',
+      rateLimit: { requests: 2, interval: 100 }
+    });
+    mockAxios.onPost('/drivers/call').reply(200, { success: true, result: 1 });
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(i => client.kv.get(`key-${i}`)));
+
+    // Two requests go out immediately, the next two wait for refills
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+  });
+});
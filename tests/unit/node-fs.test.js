@@ -0,0 +1,85 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+describe('Node fs Adapter', () => {
+  let client;
+  let fsp;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token' });
+    fsp = client.fs.asNodeFs();
+    mockAxios.reset();
+  });
+
+  it('should read and write files', async () => {
+    mockAxios.onGet('/read').reply(200, Buffer.from('hello'));
+    mockAxios.onPost('/batch').reply(200, { results: [{ uid: 'file-1' }] });
+
+    expect(await fsp.readFile('/me/a.txt')).toEqual(Buffer.from('hello'));
+    expect(await fsp.readFile('/me/a.txt', 'utf8')).toBe('hello');
+
+    await fsp.writeFile('/me/b.txt', 'aGk=', { encoding: 'base64', flag: 'wx' });
+    const form = mockAxios.history.post[0].data;
+    expect(JSON.parse(form.get('operation'))).toMatchObject({ overwrite: false, create_missing_parents: false });
+    expect(await form.get('file').text()).toBe('hi');
+  });
+
+  it('should reject append and in-place write flags', async () => {
+    for (const flag of ['a', 'a+', 'r+']) {
+      const error = await fsp.writeFile('/me/log.txt', 'line', { flag }).catch(e => e);
+      expect(error).toMatchObject({ code: 'ENOTSUP', syscall: 'open', path: '/me/log.txt' });
+    }
+    expect(mockAxios.history.post).toHaveLength(0);
+  });
+
+  it('should map /stat to Stats objects', async () => {
+    mockAxios.onPost('/stat').reply(200, { name: 'docs', is_dir: true, size: 0, modified: 1700000000 });
+
+    const stats = await fsp.stat('/me/docs');
+    expect(stats.isDirectory()).toBe(true);
+    expect(stats.isFile()).toBe(false);
+    expect(stats.mtime).toEqual(new Date(1700000000 * 1000));
+    expect(stats.mtimeMs).toBe(1700000000 * 1000);
+  });
+
+  it('should list directories with names or entries', async () => {
+    mockAxios.onPost('/readdir').reply(200, [
+      { name: 'a.txt', is_dir: false, size: 3 },
+      { name: 'sub', is_dir: true }
+    ]);
+
+    expect(await fsp.readdir('/me')).toEqual(['a.txt', 'sub']);
+    const entries = await fsp.readdir('/me', { withFileTypes: true });
+    expect(entries.map(entry => [entry.name, entry.isDirectory()])).toEqual([['a.txt', false], ['sub', true]]);
+  });
+
+  it('should raise Node error codes', async () => {
+    mockAxios.onPost('/stat').reply(404, { code: 'subject_does_not_exist', message: 'Not found' });
+    mockAxios.onPost('/mkdir').reply(409, { code: 'item_with_same_name_exists', message: 'Exists' });
+    mockAxios.onPost('/delete').reply(404, { code: 'subject_does_not_exist', message: 'Not found' });
+
+    await expect(fsp.stat('/me/missing')).rejects.toMatchObject({
+      code: 'ENOENT',
+      syscall: 'stat',
+      path: '/me/missing',
+      message: "ENOENT: no such file or directory, stat '/me/missing'"
+    });
+    await expect(fsp.mkdir('/me/docs')).rejects.toMatchObject({ code: 'EEXIST' });
+    await expect(fsp.mkdir('/me/docs', { recursive: true })).resolves.toBeUndefined();
+    await expect(fsp.rm('/me/missing', { force: true })).resolves.toBeUndefined();
+    await expect(fsp.unlink('/me/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('should rename across directories', async () => {
+    mockAxios.onPost('/move').reply(200, { moved: {} });
+
+    await fsp.rename('/me/a.txt', '/me/archive/b.txt');
+    expect(JSON.parse(mockAxios.history.post[0].data)).toMatchObject({
+      source: '/me/a.txt',
+      destination: '/me/archive',
+      new_name: 'b.txt',
+      overwrite: true
+    });
+  });
+});
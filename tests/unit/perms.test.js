@@ -0,0 +1,72 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+describe('Permissions', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token' });
+    mockAxios.reset();
+    mockAxios.onPost('/stat').reply(200, { uid: 'file-1', path: '/me/Documents/report.pdf' });
+  });
+
+  it('should share items with several recipients', async () => {
+    mockAxios.onPost('/share').reply(200, { status: 'success', recipients: [{ status: 'success' }] });
+
+    await client.perms.share(['/me/Documents/notes', { uid: 'file-1' }], 'alice', { access: 'write' });
+    expect(JSON.parse(mockAxios.history.post.find(request => request.url === '/share').data)).toEqual({
+      recipients: ['alice'],
+      shares: [
+        { $: 'fs-share', path: '/me/Documents/notes', access: 'write' },
+        { $: 'fs-share', path: '/me/Documents/report.pdf', access: 'write' }
+      ]
+    });
+  });
+
+  it('should grant and revoke access by UID', async () => {
+    mockAxios.onPost('/auth/grant-user-user').reply(200, {});
+    mockAxios.onPost('/auth/revoke-user-user').reply(200, {});
+
+    await client.perms.grant('/Documents/report.pdf', 'alice');
+    await client.perms.revoke({ uid: 'file-1' }, 'alice');
+
+    expect(mockAxios.history.post.map(request => [request.url, JSON.parse(request.data)])).toEqual([
+      ['/stat', { path: '/Documents/report.pdf' }],
+      ['/auth/grant-user-user', { target_username: 'alice', permission: 'fs:file-1:read' }],
+      ['/auth/revoke-user-user', { target_username: 'alice', permission: 'fs:file-1:read' }],
+      ['/auth/revoke-user-user', { target_username: 'alice', permission: 'fs:file-1:write' }]
+    ]);
+  });
+
+  it('should list the grants on an item', async () => {
+    mockAxios.onGet('/auth/list-permissions').reply(200, {
+      myself_to_user: [
+        { user: { username: 'alice' }, permission: 'fs:file-1:write' },
+        { user: 'bob', permission: 'fs:file-1:read' },
+        { user: 'carol', permission: 'fs:file-2:read' }
+      ]
+    });
+
+    await expect(client.perms.list({ uid: 'file-1' })).resolves.toEqual([
+      { username: 'alice', access: 'write', permission: 'fs:file-1:write' },
+      { username: 'bob', access: 'read', permission: 'fs:file-1:read' }
+    ]);
+  });
+
+  it('should create signed links', async () => {
+    mockAxios.onPost('/sign').reply(200, {
+      signatures: [{ uid: 'file-1', expires: 1900000000, signature: 'sig', read_url: 'https://puter.com/file?sig' }]
+    });
+
+    const link = await client.perms.createLink({ uid: 'file-1' });
+    expect(link.url).toBe('https://puter.com/file?sig');
+    expect(JSON.parse(mockAxios.history.post[0].data)).toEqual({ items: [{ uid: 'file-1', action: 'read' }] });
+  });
+
+  it('should validate arguments', async () => {
+    await expect(client.perms.share([], 'alice')).rejects.toThrow('Items and recipients are required');
+    await expect(client.perms.grant('/a', 'alice', { access: 'admin' })).rejects.toThrow('Invalid access level: admin');
+    await expect(client.perms.revoke('/a')).rejects.toThrow('Username is required');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import PuterClient from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+import { getRetryDelay, parseRetryAfter, DEFAULT_RETRY_POLICY } from '../../src/retry';
+
+describe('Retry Policy', () => {
+  let client;
+  let retries;
+
+  beforeEach(() => {
+    retries = [];
+    client = new PuterClient({
+      token: 'test-token',
+      retry: {
+        baseDelay: 1,
+        jitter: false,
+        onRetry: info => retries.push(info)
+      }
+    });
+    mockAxios.reset();
+  });
+
+  it('should retry transient failures and succeed', async () => {
+    mockAxios.onPost('/drivers/call')
+      .replyOnce(503, 'Service Unavailable')
+      .onPost('/drivers/call')
+      .replyOnce(502, { error: { message: 'Bad gateway' } })
+      .onPost('/drivers/call')
+      .replyOnce(200, { success: true, result: 'value' });
+
+    const value = await client.kv.get('key');
+    expect(value).toBe('value');
+    expect(mockAxios.history.post).toHaveLength(3);
+    expect(retries.map(r => r.attempt)).toEqual([1, 2]);
+    expect(retries.map(r => r.delay)).toEqual([1, 2]);
+  });
+
+  it('should give up after maxAttempts', async () => {
+    mockAxios.onPost('/drivers/call').reply(503, { error: { message: 'Service unavailable' } });
+
+    await expect(client.kv.get('key')).rejects.toThrow('Service unavailable');
+    expect(mockAxios.history.post).toHaveLength(3);
+  });
+
+  it('should retry timeouts of idempotent requests', async () => {
+    mockAxios.onPost('/readdir')
+      .timeoutOnce()
+      .onPost('/readdir')
+      .replyOnce(200, []);
+
+    await expect(client.fs.readdir('/')).resolves.toEqual([]);
+    expect(mockAxios.history.post).toHaveLength(2);
+  });
+
+  it('should not retry non-idempotent requests', async () => {
+    mockAxios.onPost('/drivers/call').reply(502, { error: { message: 'Bad gateway' } });
+    mockAxios.onPost('/delete').reply(503, { error: { message: 'Service unavailable' } });
+
+    await expect(client.kv.incr('counter')).rejects.toThrow('Bad gateway');
+    await expect(client.fs.delete('/file.txt')).rejects.toThrow('Service unavailable');
+    expect(mockAxios.history.post).toHaveLength(2);
+    expect(retries).toHaveLength(0);
+  });
+
+  it('should retry throttled non-idempotent requests and honour Retry-After', async () => {
+    client.retryPolicy.maxRetryAfter = 5;
+    mockAxios.onPost('/drivers/call')
+      .replyOnce(429, { error: { message: 'Too many requests' } }, { 'retry-after': '120' })
+      .onPost('/drivers/call')
+      .replyOnce(200, { success: true, result: 2 });
+
+    await expect(client.kv.incr('counter')).resolves.toBe(2);
+    expect(retries[0].delay).toBe(5);
+  });
+
+  it('should support per-call overrides', async () => {
+    mockAxios.onPost('/readdir').reply(503, 'Service Unavailable');
+
+    await expect(client.http.post('/readdir', { path: '/' }, { retry: false })).rejects.toThrow();
+    expect(mockAxios.history.post).toHaveLength(1);
+
+    mockAxios.resetHistory();
+    await expect(client.http.post('/readdir', { path: '/' }, { retry: { maxAttempts: 2 } })).rejects.toThrow();
+    expect(mockAxios.history.post).toHaveLength(2);
+  });
+
+  it('should be disabled with retry: false', async () => {
+    const noRetry = new PuterClient({ token: 'test-token', retry: false });
+    mockAxios.onPost('/drivers/call').reply(503, { error: { message: 'Service unavailable' } });
+
+    await expect(noRetry.kv.get('key')).rejects.toThrow('Service unavailable');
+    expect(mockAxios.history.post).toHaveLength(1);
+  });
+
+  describe('Delays', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100, maxDelay: 350, jitter: false };
+      expect([1, 2, 3].map(attempt => getRetryDelay(policy, attempt))).toEqual([100, 200, 350]);
+    });
+
+    it('should apply jitter within 50-100% of the backoff', () => {
+      const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100 };
+      const delay = getRetryDelay(policy, 1);
+      expect(delay).toBeGreaterThanOrEqual(50);
+      expect(delay).toBeLessThanOrEqual(100);
+    });
+
+    it('should parse Retry-After seconds and dates', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8000);
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { extractJson, validateSchema } from '../../src/schema';
+
+describe('JSON Schema Utilities', () => {
+  describe('extractJson', () => {
+    it('should parse bare JSON', () => {
+      expect(extractJson(' {"a": 1} ')).toEqual({ a: 1 });
+    });
+
+    it('should parse fenced code blocks', () => {
+      expect(extractJson('Result:\n```json\n[1, 2]\n```')).toEqual([1, 2]);
+    });
+
+    it('should find JSON embedded in prose', () => {
+      expect(extractJson('Sure! {"text": "a } in a string"} Hope it helps.'))
+        .toEqual({ text: 'a } in a string' });
+    });
+
+    it('should throw when no JSON is present', () => {
+      expect(() => extractJson('No JSON here')).toThrow('Response does not contain valid JSON');
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        tags: { type: 'array', items: { enum: ['a', 'b'] }, maxItems: 2 },
+        score: { type: ['number', 'null'], maximum: 10 }
+      },
+      required: ['name'],
+      additionalProperties: false
+    };
+
+    it('should accept valid values', () => {
+      expect(validateSchema({ name: 'x', tags: ['a'], score: null }, schema)).toEqual([]);
+    });
+
+    it('should report errors with paths', () => {
+      expect(validateSchema({ tags: ['c', 'a', 'b'], score: 11, extra: true }, schema)).toEqual([
+        { path: '$.name', message: 'is required' },
+        { path: '$.tags', message: 'must have at most 2 items' },
+        { path: '$.tags[0]', message: 'must be one of ["a","b"]' },
+        { path: '$.score', message: 'must be <= 10' },
+        { path: '$.extra', message: 'is not allowed' }
+      ]);
+    });
+
+    it('should support anyOf and oneOf', () => {
+      const choice = { oneOf: [{ type: 'string' }, { type: 'integer' }] };
+      expect(validateSchema('x', choice)).toEqual([]);
+      expect(validateSchema(true, { anyOf: choice.oneOf })).toHaveLength(1);
+    });
+  });
+});
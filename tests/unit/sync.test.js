@@ -0,0 +1,176 @@
+import { describe, expect, it, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, utimesSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import PuterClient from '../../src/index';
+import { mockAxios } from '../mocks/axios';
+
+// Seconds since epoch, as reported by Puter
+const OLD = 1600000000;
+const NEW = 1900000000;
+
+describe('Directory Sync', () => {
+  let client;
+  let localDir;
+
+  beforeEach(() => {
+    client = new PuterClient({ token: 'test-token' });
+    mockAxios.reset();
+
+    localDir = mkdtempSync(join(tmpdir(), 'puter-sync-'));
+    mkdirSync(join(localDir, 'css'));
+    mkdirSync(join(localDir, 'node_modules'));
+    writeFileSync(join(localDir, 'index.html'), '<h1>Hi</h1>');
+    writeFileSync(join(localDir, 'css', 'site.css'), 'body {}');
+    writeFileSync(join(localDir, 'app.js.map'), '{}');
+    writeFileSync(join(localDir, 'node_modules', 'dep.js'), '');
+    // Local files were modified between OLD and NEW
+    for (const file of ['index.html', 'css/site.css']) {
+      utimesSync(join(localDir, file), 1700000000, 1700000000);
+    }
+
+    mockAxios.onPost('/readdir', { path: '/site' }).reply(200, [
+      { name: 'index.html', path: '/site/index.html', is_dir: false, size: 11, modified: OLD },
+      { name: 'css', path: '/site/css', is_dir: true, uid: 'css' },
+      { name: 'old.html', path: '/site/old.html', is_dir: false, size: 3, modified: OLD }
+    ]);
+    mockAxios.onPost('/readdir', { path: '/site/css' }).reply(200, [
+      { name: 'site.css', path: '/site/css/site.css', is_dir: false, size: 20, modified: NEW }
+    ]);
+  });
+
+  afterEach(() => {
+    rmSync(localDir, { recursive: true, force: true });
+  });
+
+  it('should report push changes in dry-run mode', async () => {
+    const report = await client.fs.sync(localDir, '/site', {
+      delete: true,
+      dryRun: true,
+      exclude: ['*.map', 'node_modules']
+    });
+
+    expect(report.changes).toEqual([
+      { action: 'upload', path: 'css/site.css', reason: 'size' },
+      { action: 'upload', path: 'index.html', reason: 'mtime' },
+      { action: 'delete-remote', path: 'old.html', reason: 'orphan' }
+    ]);
+    expect(report.uploaded).toEqual(['css/site.css', 'index.html']);
+    expect(report.deleted).toEqual(['old.html']);
+    expect(mockAxios.history.post.every(request => request.url === '/readdir')).toBe(true);
+  });
+
+  it('should upload changed files and delete orphans', async () => {
+    mockAxios.onPost('/batch').reply(200, { results: [{ uid: 'x' }] });
+    mockAxios.onPost('/delete').reply(200, { success: true });
+
+    const report = await client.fs.sync(localDir, '/site/', { delete: true, exclude: ['*.map', 'node_modules/**'] });
+
+    expect(report.dryRun).toBe(false);
+    const uploads = mockAxios.history.post.filter(request => request.url === '/batch').map(request => request.data);
+    expect(uploads.map(form => JSON.parse(form.get('operation')).path).sort()).toEqual(['/site', '/site/css']);
+    const css = uploads.find(form => JSON.parse(form.get('operation')).name === 'site.css');
+    expect(await css.get('file').text()).toBe('body {}');
+    expect(mockAxios.history.post.find(request => request.url === '/delete').data)
+      .toBe(JSON.stringify({ path: '/site/old.html' }));
+  });
+
+  it('should pull newer and missing files', async () => {
+    mockAxios.onGet('/read').reply(config => {
+      const body = new PassThrough();
+      body.end(`remote ${config.params.file}`);
+      return [200, body];
+    });
+
+    const report = await client.fs.sync(localDir, '/site', { direction: 'pull', exclude: '*.map' });
+
+    expect(report.downloaded).toEqual(['css/site.css', 'old.html']);
+    expect(report.unchanged).toEqual(['index.html']);
+    expect(readFileSync(join(localDir, 'css', 'site.css'), 'utf8')).toBe('remote /site/css/site.css');
+    expect(readFileSync(join(localDir, 'old.html'), 'utf8')).toBe('remote /site/old.html');
+    expect(existsSync(join(localDir, 'app.js.map'))).toBe(true);
+  });
+
+  it('should treat only a missing root as empty', async () => {
+    const missing = [404, { error: { code: 'subject_does_not_exist', message: 'Not found' } }];
+    mockAxios.resetHandlers();
+    mockAxios.onPost('/readdir', { path: '/site' }).reply(200, [
+      { name: 'css', path: '/site/css', is_dir: true, uid: 'css' }
+    ]);
+    mockAxios.onPost('/readdir', { path: '/site/css' }).reply(...missing);
+    mockAxios.onPost('/readdir', { path: '/new-site' }).reply(...missing);
+
+    // A directory removed during the walk must not look like deleted remote files
+    await expect(client.fs.sync(localDir, '/site', { direction: 'pull', delete: true }))
+      .rejects.toMatchObject({ code: 'subject_does_not_exist' });
+    expect(existsSync(join(localDir, 'css', 'site.css'))).toBe(true);
+
+    const report = await client.fs.sync(localDir, '/new-site', { dryRun: true, exclude: ['*.map', 'node_modules'] });
+    expect(report.uploaded).toEqual(['css/site.css', 'index.html']);
+  });
+
+  it('should compare content hashes with checksum', async () => {
+    mockAxios.onGet('/read').reply(() => {
+      const body = new PassThrough();
+      body.end('<h1>Hi</h1>');
+      return [200, body];
+    });
+
+    const report = await client.fs.sync(localDir, '/site', {
+      direction: 'both',
+      checksum: true,
+      dryRun: true,
+      exclude: ['*.map', 'node_modules', 'css']
+    });
+
+    expect(report.unchanged).toEqual(['index.html']);
+    expect(report.changes).toEqual([{ action: 'download', path: 'old.html', reason: 'missing' }]);
+  });
+
+  it('should settle after a two-way sync', async () => {
+    // Stateful remote: writes are stamped with the upload time, like Puter does
+    const UPLOADED = 1950000000;
+    const remote = new Map([
+      ['/site/index.html', { size: 11, modified: OLD, content: '<h1>Hi</h1>' }],
+      ['/site/news.html', { size: 4, modified: NEW, content: 'news' }]
+    ]);
+    mockAxios.reset();
+    mockAxios.onPost('/readdir').reply(config => {
+      const dir = JSON.parse(config.data).path;
+      const entries = [...remote].filter(([path]) => path.startsWith(`${dir}/`) && !path.slice(dir.length + 1).includes('/'));
+      return [200, entries.map(([path, file]) => ({ name: path.split('/').pop(), path, is_dir: false, ...file }))];
+    });
+    mockAxios.onPost('/batch').reply(config => {
+      const form = config.data;
+      const { path, name } = JSON.parse(form.get('operation'));
+      return form.get('file').text().then(content => {
+        const file = { size: content.length, modified: UPLOADED, content };
+        remote.set(`${path}/${name}`, file);
+        return [200, { results: [{ path: `${path}/${name}`, ...file }] }];
+      });
+    });
+    mockAxios.onGet('/read').reply(config => {
+      const body = new PassThrough();
+      body.end(remote.get(config.params.file).content);
+      return [200, body];
+    });
+
+    const options = { direction: 'both', exclude: ['*.map', 'node_modules', 'css'] };
+    const first = await client.fs.sync(localDir, '/site', options);
+    expect(first.uploaded).toEqual(['index.html']);
+    expect(first.downloaded).toEqual(['news.html']);
+    expect(statSync(join(localDir, 'index.html')).mtimeMs).toBe(UPLOADED * 1000);
+    expect(statSync(join(localDir, 'news.html')).mtimeMs).toBe(NEW * 1000);
+
+    const second = await client.fs.sync(localDir, '/site', options);
+    expect(second.changes).toEqual([]);
+    expect(second.unchanged).toEqual(['index.html', 'news.html']);
+  });
+
+  it('should validate options', async () => {
+    await expect(client.fs.sync(localDir, '/site', { direction: 'sideways' }))
+      .rejects.toThrow('Invalid sync direction: sideways');
+    await expect(client.fs.sync(localDir)).rejects.toThrow('Local and remote directories are required');
+  });
+});